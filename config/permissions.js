@@ -0,0 +1,37 @@
+// Named permissions checked by requirePermission. access_levels.permissions and
+// user_accounts.permission_overrides are JSON maps of these names to true/false;
+// full_access grants everything.
+const PERMISSIONS = {
+  'employees.view': 'View employee records',
+  'employees.manage': 'Create, update and deactivate employees',
+  'time.view_all': 'View any employee\'s time entries',
+  'payroll.view': 'View payroll periods, entries and contribution schedules',
+  'payroll.manage': 'Create payroll periods and move them through their lifecycle',
+  'payroll.reopen': 'Reopen locked payroll periods',
+  'payroll.compute': 'Compute and recompute payroll entries',
+  'payroll.disburse': 'Generate bank credit files from net pay',
+  'payslips.view_all': 'Download any employee\'s payslip',
+  'payslips.generate': 'Generate payslips in bulk',
+  'contributions.manage': 'Load contribution schedules',
+  'remittances.generate': 'Generate SSS, PhilHealth, Pag-IBIG and BIR remittance reports',
+  'tax.year_end': 'Compute year-end tax and generate BIR 2316 certificates and the alphalist',
+  'import.payroll': 'Import payroll files',
+  'import.attendance': 'Import attendance files',
+  'import.employees': 'Import employee files',
+  'import.history': 'View import history',
+  'export.payroll': 'Export payroll data',
+  'export.attendance': 'Export attendance data',
+  'export.employees': 'Export employee data',
+  'export.reconciliation': 'Export reconciliation results',
+  'reconciliation.view': 'View reconciliation results and dashboard',
+  'reconciliation.run': 'Run reconciliation',
+  'reconciliation.resolve': 'Resolve or ignore reconciliation discrepancies',
+  'users.manage': 'Register, lock, unlock and deactivate user accounts',
+  'settings.manage': 'Change system settings such as the lockout policy',
+  'roles.manage': 'Manage access levels and user permission overrides',
+  'full_access': 'Every permission'
+};
+
+module.exports = {
+  PERMISSIONS
+};
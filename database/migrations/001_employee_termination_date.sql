@@ -0,0 +1,3 @@
+-- Termination date for employees managed through /api/employees
+ALTER TABLE employees
+  ADD COLUMN termination_date DATE NULL AFTER hire_date;
@@ -0,0 +1,24 @@
+-- Versioned SSS, PhilHealth and Pag-IBIG contribution schedules
+CREATE TABLE contribution_schedules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  agency ENUM('sss', 'philhealth', 'pagibig') NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  effective_from DATE NOT NULL,
+  employee_rate DECIMAL(6,4) NOT NULL DEFAULT 0,
+  employer_rate DECIMAL(6,4) NOT NULL DEFAULT 0,
+  floor DECIMAL(12,2) NULL,
+  ceiling DECIMAL(12,2) NULL,
+  employee_cap DECIMAL(12,2) NULL,
+  employer_cap DECIMAL(12,2) NULL,
+  brackets JSON NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_agency_effective (agency, effective_from),
+  FOREIGN KEY (created_by) REFERENCES user_accounts(id)
+);
+
+-- Employer shares alongside the employee deductions
+ALTER TABLE payroll_entries
+  ADD COLUMN sss_employer_share DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER pagibig_deduction,
+  ADD COLUMN philhealth_employer_share DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER sss_employer_share,
+  ADD COLUMN pagibig_employer_share DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER philhealth_employer_share;
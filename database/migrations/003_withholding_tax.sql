@@ -0,0 +1,7 @@
+-- Non-taxable de minimis benefits included in gross pay
+ALTER TABLE payroll_entries
+  ADD COLUMN de_minimis DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER bonuses;
+
+-- Allow the 'tax' reconciliation type
+ALTER TABLE reconciliation_logs
+  MODIFY COLUMN reconciliation_type VARCHAR(30) NOT NULL;
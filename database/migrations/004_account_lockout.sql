@@ -0,0 +1,10 @@
+-- Number of lockouts since the last successful login, for progressive backoff
+ALTER TABLE user_accounts
+  ADD COLUMN lockout_count INT NOT NULL DEFAULT 0 AFTER failed_login_attempts;
+
+-- Lockout policy
+INSERT IGNORE INTO system_settings (setting_key, setting_value) VALUES
+  ('lockout_max_attempts', '5'),
+  ('lockout_duration_minutes', '15'),
+  ('lockout_backoff_multiplier', '2'),
+  ('lockout_max_duration_minutes', '1440');
@@ -0,0 +1,18 @@
+-- Server-side sessions backing rotating refresh tokens
+CREATE TABLE user_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(50) NULL,
+  UNIQUE KEY uq_refresh_token_hash (refresh_token_hash),
+  INDEX idx_previous_token_hash (previous_token_hash),
+  INDEX idx_user_active (user_id, revoked_at),
+  FOREIGN KEY (user_id) REFERENCES user_accounts(id)
+);
@@ -0,0 +1,42 @@
+-- Per-user permission overrides: JSON map of permission name to true (grant) or false (revoke)
+ALTER TABLE user_accounts
+  ADD COLUMN permission_overrides JSON NULL AFTER access_level;
+
+-- Grant the named permissions that replace the old numeric access level checks
+UPDATE access_levels
+SET permissions = JSON_MERGE_PATCH(COALESCE(permissions, JSON_OBJECT()), JSON_OBJECT(
+  'employees.view', true,
+  'time.view_all', true,
+  'payroll.view', true,
+  'payslips.view_all', true,
+  'export.payroll', true,
+  'export.attendance', true,
+  'export.employees', true,
+  'reconciliation.view', true
+))
+WHERE level_number >= 2;
+
+UPDATE access_levels
+SET permissions = JSON_MERGE_PATCH(COALESCE(permissions, JSON_OBJECT()), JSON_OBJECT(
+  'employees.manage', true,
+  'payroll.manage', true,
+  'payroll.compute', true,
+  'payslips.generate', true,
+  'contributions.manage', true,
+  'import.payroll', true,
+  'import.attendance', true,
+  'import.employees', true,
+  'import.history', true,
+  'reconciliation.run', true,
+  'reconciliation.resolve', true,
+  'users.manage', true,
+  'settings.manage', true
+))
+WHERE level_number >= 3;
+
+UPDATE access_levels
+SET permissions = JSON_MERGE_PATCH(COALESCE(permissions, JSON_OBJECT()), JSON_OBJECT(
+  'payroll.reopen', true,
+  'roles.manage', true
+))
+WHERE level_number >= 4;
@@ -0,0 +1,19 @@
+-- Background import jobs: uploaded → queued → running → completed | cancelled | failed
+ALTER TABLE import_logs
+  MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'uploaded',
+  ADD COLUMN column_mapping JSON NULL AFTER import_type,
+  ADD COLUMN processed_rows INT NOT NULL DEFAULT 0 AFTER total_rows,
+  ADD COLUMN started_at DATETIME NULL,
+  ADD COLUMN cancel_requested BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- One row per failed import row, for the downloadable error report
+CREATE TABLE import_row_errors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  import_log_id INT NOT NULL,
+  row_num INT NOT NULL,
+  error_message TEXT NOT NULL,
+  row_data JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_import_log (import_log_id, row_num),
+  FOREIGN KEY (import_log_id) REFERENCES import_logs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,5 @@
+-- Per-import mode: 'partial' commits row by row, 'atomic' rolls back the whole file on the first failure.
+-- Dry runs validate every row inside a rolled-back transaction and finish as 'validated'.
+ALTER TABLE import_logs
+  ADD COLUMN import_mode VARCHAR(10) NOT NULL DEFAULT 'partial' AFTER column_mapping,
+  ADD COLUMN dry_run BOOLEAN NOT NULL DEFAULT FALSE AFTER import_mode;
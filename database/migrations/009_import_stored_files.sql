@@ -0,0 +1,5 @@
+-- Track where each upload is stored and its content hash for duplicate detection
+ALTER TABLE import_logs
+  ADD COLUMN stored_path VARCHAR(500) NULL AFTER file_name,
+  ADD COLUMN file_hash CHAR(64) NULL AFTER stored_path,
+  ADD INDEX idx_file_hash (file_hash);
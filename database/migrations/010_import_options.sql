@@ -0,0 +1,3 @@
+-- Per-import options for the row processors, e.g. {"employeeMode": "merge", "clearEmptyCells": false}
+ALTER TABLE import_logs
+  ADD COLUMN import_options JSON NULL AFTER dry_run;
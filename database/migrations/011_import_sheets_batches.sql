@@ -0,0 +1,8 @@
+-- Workbook uploads: which sheet a job reads, and batches of sheets run in dependency order.
+-- import_type is NULL until a multi-sheet upload is mapped in /process.
+ALTER TABLE import_logs
+  MODIFY COLUMN import_type VARCHAR(20) NULL,
+  ADD COLUMN sheet_name VARCHAR(255) NULL AFTER file_type,
+  ADD COLUMN batch_id INT NULL AFTER import_options,
+  ADD COLUMN batch_order INT NULL AFTER batch_id,
+  ADD INDEX idx_batch (batch_id, batch_order);
@@ -0,0 +1,22 @@
+-- Saved column mappings per import type and source system, auto-detected by header signature.
+-- headers, column_mapping and column_transforms are keyed by normalized header ("Emp. No." -> "emp_no").
+CREATE TABLE mapping_profiles (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  import_type VARCHAR(20) NOT NULL,
+  source VARCHAR(100) NULL,
+  header_signature CHAR(64) NOT NULL,
+  headers JSON NOT NULL,
+  column_mapping JSON NOT NULL,
+  column_transforms JSON NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_profile_name (import_type, name),
+  INDEX idx_signature (header_signature),
+  FOREIGN KEY (created_by) REFERENCES user_accounts(id) ON DELETE SET NULL
+);
+
+ALTER TABLE import_logs
+  ADD COLUMN column_transforms JSON NULL AFTER column_mapping,
+  ADD COLUMN mapping_profile_id INT NULL AFTER column_transforms;
@@ -0,0 +1,3 @@
+-- Per-cell validation errors name the spreadsheet column they came from
+ALTER TABLE import_row_errors
+  ADD COLUMN column_name VARCHAR(255) NULL AFTER row_num;
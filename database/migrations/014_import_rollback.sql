@@ -0,0 +1,32 @@
+-- Records created or last updated by an import carry its import_logs id
+ALTER TABLE employees
+  ADD COLUMN import_log_id INT NULL,
+  ADD INDEX idx_import_log (import_log_id);
+
+ALTER TABLE time_entries
+  ADD COLUMN import_log_id INT NULL,
+  ADD INDEX idx_import_log (import_log_id);
+
+ALTER TABLE payroll_entries
+  ADD COLUMN import_log_id INT NULL,
+  ADD INDEX idx_import_log (import_log_id);
+
+-- Every write an import made, so it can be rolled back: inserts are deleted,
+-- updates get old_values back and deleted (replaced) rows are re-inserted from old_values
+CREATE TABLE import_changes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  import_log_id INT NOT NULL,
+  table_name VARCHAR(50) NOT NULL,
+  record_id INT NOT NULL,
+  action VARCHAR(10) NOT NULL,
+  old_values JSON NULL,
+  new_values JSON NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_import_log (import_log_id, id),
+  FOREIGN KEY (import_log_id) REFERENCES import_logs(id) ON DELETE CASCADE
+);
+
+-- completed → reverted once an import's changes have been rolled back
+ALTER TABLE import_logs
+  ADD COLUMN reverted_at DATETIME NULL,
+  ADD COLUMN reverted_by INT NULL;
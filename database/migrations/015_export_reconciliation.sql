@@ -0,0 +1,6 @@
+-- Reconciliation workbook export, for everyone who can view reconciliation results
+UPDATE access_levels
+SET permissions = JSON_MERGE_PATCH(COALESCE(permissions, JSON_OBJECT()), JSON_OBJECT(
+  'export.reconciliation', true
+))
+WHERE level_number >= 2;
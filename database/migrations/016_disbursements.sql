@@ -0,0 +1,29 @@
+-- Bank credit files generated from a payroll period's net pay
+CREATE TABLE disbursement_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payroll_period_id INT NOT NULL,
+  batch_number VARCHAR(20) NOT NULL,
+  bank_format VARCHAR(30) NOT NULL,
+  credit_date DATE NOT NULL,
+  entry_count INT NOT NULL,
+  total_amount DECIMAL(14,2) NOT NULL,
+  account_hash_total VARCHAR(20) NOT NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_batch_number (batch_number),
+  INDEX idx_period (payroll_period_id),
+  FOREIGN KEY (payroll_period_id) REFERENCES payroll_periods(id),
+  FOREIGN KEY (created_by) REFERENCES user_accounts(id) ON DELETE SET NULL
+);
+
+-- Entries paid through a batch are not credited again
+ALTER TABLE payroll_entries
+  ADD COLUMN disbursement_batch_id INT NULL,
+  ADD COLUMN disbursed_at DATETIME NULL,
+  ADD FOREIGN KEY (disbursement_batch_id) REFERENCES disbursement_batches(id);
+
+UPDATE access_levels
+SET permissions = JSON_MERGE_PATCH(COALESCE(permissions, JSON_OBJECT()), JSON_OBJECT(
+  'payroll.disburse', true
+))
+WHERE level_number >= 3;
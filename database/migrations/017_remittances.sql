@@ -0,0 +1,6 @@
+-- Monthly SSS, PhilHealth, Pag-IBIG and BIR 1601-C remittance reports
+UPDATE access_levels
+SET permissions = JSON_MERGE_PATCH(COALESCE(permissions, JSON_OBJECT()), JSON_OBJECT(
+  'remittances.generate', true
+))
+WHERE level_number >= 3;
@@ -0,0 +1,6 @@
+-- Year-end BIR 2316 certificates and alphalist
+UPDATE access_levels
+SET permissions = JSON_MERGE_PATCH(COALESCE(permissions, JSON_OBJECT()), JSON_OBJECT(
+  'tax.year_end', true
+))
+WHERE level_number >= 3;
@@ -0,0 +1,9 @@
+-- Last batch number used per credit date. Batches take their number from this row
+-- and keep it locked until their transaction ends, so concurrent batches never share one.
+CREATE TABLE disbursement_batch_counters (
+  credit_date DATE PRIMARY KEY,
+  last_number INT NOT NULL
+);
+
+INSERT INTO disbursement_batch_counters (credit_date, last_number)
+SELECT credit_date, COUNT(*) FROM disbursement_batches GROUP BY credit_date;
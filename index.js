@@ -6,11 +6,19 @@ require('dotenv').config();
 
 const { createConnection } = require('./config/database');
 const Database = require('./models/Database');
+const { resumeImportJobs, expireAbandonedUploads } = require('./services/importJobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const excelRoutes = require('./routes/excel');
 const reconciliationRoutes = require('./routes/reconciliation');
+const timeRoutes = require('./routes/time');
+const employeeRoutes = require('./routes/employees');
+const payrollRoutes = require('./routes/payroll');
+const contributionRoutes = require('./routes/contributions');
+const roleRoutes = require('./routes/roles');
+const remittanceRoutes = require('./routes/remittances');
+const yearEndRoutes = require('./routes/yearEnd');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -36,13 +44,17 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files for uploads
-app.use('/uploads', express.static('uploads'));
-
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/excel', excelRoutes);
 app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/time', timeRoutes);
+app.use('/api/employees', employeeRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/contributions', contributionRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/remittances', remittanceRoutes);
+app.use('/api/year-end', yearEndRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -88,6 +100,15 @@ async function startServer() {
     
     console.log('✅ Database connected successfully');
     
+    // Pick up imports interrupted by a restart
+    await resumeImportJobs();
+    
+    // Sweep abandoned uploads now and hourly
+    await expireAbandonedUploads();
+    setInterval(() => {
+      expireAbandonedUploads().catch(error => console.error('Expire uploads error:', error));
+    }, 60 * 60 * 1000).unref();
+    
     // Start server
     app.listen(PORT, () => {
       console.log(`✅ Server running on port ${PORT}`);
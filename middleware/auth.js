@@ -11,6 +11,12 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = decoded.sid ? await Database.getSessionById(decoded.sid) : null;
+
+    if (!session || session.revoked_at || session.user_id !== decoded.id) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
     const user = await Database.getUserByUsername(decoded.username);
     
     if (!user || !user.is_active) {
@@ -18,6 +24,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
@@ -33,16 +40,38 @@ const requireAccessLevel = (minLevel) => {
   };
 };
 
+// access_levels / user_accounts JSON columns arrive as text or already parsed
+const parsePermissions = (value) => {
+  if (!value) return {};
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Access level permissions with the user's own overrides applied on top
+const getEffectivePermissions = (user) => {
+  return {
+    ...parsePermissions(user.permissions),
+    ...parsePermissions(user.permission_overrides)
+  };
+};
+
+// full_access grants everything not explicitly set to false
+const hasPermission = (user, permission) => {
+  const permissions = getEffectivePermissions(user);
+  if (permissions[permission] === false) return false;
+  return !!(permissions[permission] || permissions.full_access);
+};
+
+// permission may be a name or a function of the request, e.g. req => `export.${req.params.type}`
 const requirePermission = (permission) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const permissions = req.user.permissions ? JSON.parse(req.user.permissions) : {};
+    const required = typeof permission === 'function' ? permission(req) : permission;
     
-    if (!permissions[permission] && !permissions.full_access) {
-      return res.status(403).json({ error: `Permission '${permission}' required` });
+    if (!hasPermission(req.user, required)) {
+      return res.status(403).json({ error: `Permission '${required}' required` });
     }
     
     next();
@@ -52,5 +81,7 @@ const requirePermission = (permission) => {
 module.exports = {
   authenticateToken,
   requireAccessLevel,
-  requirePermission
+  requirePermission,
+  hasPermission,
+  getEffectivePermissions
 };
\ No newline at end of file
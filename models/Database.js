@@ -9,9 +9,9 @@ class Database {
     this.pool = getConnection();
   }
 
-  async query(sql, params = []) {
+  async query(sql, params = [], connection = null) {
     try {
-      const [rows] = await this.pool.execute(sql, params);
+      const [rows] = await (connection || this.pool).execute(sql, params);
       return rows;
     } catch (error) {
       console.error('Database query error:', error);
@@ -19,12 +19,17 @@ class Database {
     }
   }
 
-  async transaction(callback) {
+  // Pass { commit: false } to run the callback and always roll back (dry runs)
+  async transaction(callback, { commit = true } = {}) {
     const connection = await this.pool.getConnection();
     try {
       await connection.beginTransaction();
       const result = await callback(connection);
-      await connection.commit();
+      if (commit) {
+        await connection.commit();
+      } else {
+        await connection.rollback();
+      }
       return result;
     } catch (error) {
       await connection.rollback();
@@ -76,15 +81,162 @@ class Database {
     await this.query(sql, [userId]);
   }
 
+  async getUserById(userId) {
+    const sql = `
+      SELECT ua.*, e.first_name, e.last_name, e.employee_number, e.department,
+             d.name as department_name, al.level_name, al.permissions
+      FROM user_accounts ua
+      LEFT JOIN employees e ON ua.employee_id = e.id
+      LEFT JOIN departments d ON ua.department_id = d.id
+      LEFT JOIN access_levels al ON ua.access_level = al.level_number
+      WHERE ua.id = ?
+    `;
+    const result = await this.query(sql, [userId]);
+    return result[0];
+  }
+
+  async setUserActive(userId, isActive) {
+    await this.query('UPDATE user_accounts SET is_active = ? WHERE id = ?', [isActive, userId]);
+  }
+
+  async setUserPermissionOverrides(userId, overrides) {
+    const sql = 'UPDATE user_accounts SET permission_overrides = ? WHERE id = ?';
+    await this.query(sql, [Object.keys(overrides).length ? JSON.stringify(overrides) : null, userId]);
+  }
+
+  // Access Levels
+  async getAccessLevels() {
+    const sql = `
+      SELECT al.*, COUNT(ua.id) as user_count
+      FROM access_levels al
+      LEFT JOIN user_accounts ua ON ua.access_level = al.level_number
+      GROUP BY al.level_number
+      ORDER BY al.level_number
+    `;
+    return await this.query(sql);
+  }
+
+  async getAccessLevel(levelNumber) {
+    const result = await this.query('SELECT * FROM access_levels WHERE level_number = ?', [levelNumber]);
+    return result[0];
+  }
+
+  async createAccessLevel(levelData) {
+    const sql = 'INSERT INTO access_levels (level_number, level_name, permissions) VALUES (?, ?, ?)';
+    await this.query(sql, [levelData.level_number, levelData.level_name, JSON.stringify(levelData.permissions || {})]);
+  }
+
+  async updateAccessLevel(levelNumber, updates) {
+    const columns = Object.keys(updates);
+    if (!columns.length) return;
+
+    const values = columns.map(column =>
+      column === 'permissions' ? JSON.stringify(updates[column]) : updates[column]
+    );
+    const sql = `UPDATE access_levels SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE level_number = ?`;
+    await this.query(sql, [...values, levelNumber]);
+  }
+
+  async deleteAccessLevel(levelNumber) {
+    await this.query('DELETE FROM access_levels WHERE level_number = ?', [levelNumber]);
+  }
+
+  async countUsersWithAccessLevel(levelNumber) {
+    const result = await this.query('SELECT COUNT(*) as count FROM user_accounts WHERE access_level = ?', [levelNumber]);
+    return result[0].count;
+  }
+
+  // Sessions
+  async createSession(sessionData) {
+    const sql = `
+      INSERT INTO user_sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    const params = [
+      sessionData.user_id,
+      sessionData.refresh_token_hash,
+      sessionData.ip_address,
+      sessionData.user_agent,
+      sessionData.expires_at
+    ];
+
+    const result = await this.query(sql, params);
+    return result.insertId;
+  }
+
+  async getSessionById(sessionId) {
+    const result = await this.query('SELECT * FROM user_sessions WHERE id = ?', [sessionId]);
+    return result[0];
+  }
+
+  // Matches the current refresh token, or the one it replaced (reuse detection)
+  async getSessionByTokenHash(tokenHash) {
+    const sql = `
+      SELECT *, refresh_token_hash = ? as is_current
+      FROM user_sessions 
+      WHERE refresh_token_hash = ? OR previous_token_hash = ?
+      LIMIT 1
+    `;
+    const result = await this.query(sql, [tokenHash, tokenHash, tokenHash]);
+    return result[0];
+  }
+
+  async rotateSessionToken(sessionId, currentTokenHash, tokenHash) {
+    const sql = `
+      UPDATE user_sessions 
+      SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = NOW()
+      WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()
+    `;
+    const result = await this.query(sql, [tokenHash, sessionId, currentTokenHash]);
+    return result.affectedRows > 0;
+  }
+
+  async getActiveSessions(userId) {
+    const sql = `
+      SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+      FROM user_sessions 
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY COALESCE(last_used_at, created_at) DESC
+    `;
+    return await this.query(sql, [userId]);
+  }
+
+  async revokeSession(sessionId, reason) {
+    const sql = `
+      UPDATE user_sessions 
+      SET revoked_at = NOW(), revoked_reason = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `;
+    const result = await this.query(sql, [reason, sessionId]);
+    return result.affectedRows > 0;
+  }
+
+  async revokeUserSessions(userId, reason, exceptSessionId = null) {
+    let sql = `
+      UPDATE user_sessions 
+      SET revoked_at = NOW(), revoked_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL
+    `;
+    const params = [reason, userId];
+
+    if (exceptSessionId) {
+      sql += ' AND id <> ?';
+      params.push(exceptSessionId);
+    }
+
+    const result = await this.query(sql, params);
+    return result.affectedRows;
+  }
+
   // Employee Management
-  async createEmployee(employeeData) {
+  async createEmployee(employeeData, connection = null) {
     const sql = `
       INSERT INTO employees (
         employee_number, first_name, last_name, email, phone, department,
         position, hire_date, birth_date, address, emergency_contact_name,
         emergency_contact_phone, hourly_rate, salary, pay_type, is_active,
-        sss_number, philhealth_number, pagibig_number, tin_number, bank_account
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        sss_number, philhealth_number, pagibig_number, tin_number, bank_account, import_log_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     const params = [
       employeeData.employee_number,
@@ -107,10 +259,11 @@ class Database {
       employeeData.philhealth_number,
       employeeData.pagibig_number,
       employeeData.tin_number,
-      employeeData.bank_account
+      employeeData.bank_account,
+      employeeData.import_log_id || null
     ];
     
-    const result = await this.query(sql, params);
+    const result = await this.query(sql, params, connection);
     return result.insertId;
   }
 
@@ -128,10 +281,55 @@ class Database {
       params.push(filters.department);
     }
 
+    if (filters.position) {
+      sql += ' AND position = ?';
+      params.push(filters.position);
+    }
+
+    if (filters.pay_type) {
+      sql += ' AND pay_type = ?';
+      params.push(filters.pay_type);
+    }
+
+    if (filters.search) {
+      sql += ` AND (employee_number LIKE ? OR first_name LIKE ? OR last_name LIKE ? 
+               OR email LIKE ? OR CONCAT(first_name, ' ', last_name) LIKE ?)`;
+      const term = `%${filters.search}%`;
+      params.push(term, term, term, term, term);
+    }
+
     sql += ' ORDER BY first_name, last_name';
     return await this.query(sql, params);
   }
 
+  async getEmployeeById(employeeId) {
+    const result = await this.query('SELECT * FROM employees WHERE id = ?', [employeeId]);
+    return result[0];
+  }
+
+  async getEmployeeByNumber(employeeNumber, connection = null) {
+    const result = await this.query('SELECT * FROM employees WHERE employee_number = ?', [employeeNumber], connection);
+    return result[0];
+  }
+
+  async getEmployeesByNumbers(employeeNumbers) {
+    if (!employeeNumbers.length) return [];
+    const sql = `SELECT * FROM employees WHERE employee_number IN (${employeeNumbers.map(() => '?').join(', ')})`;
+    return await this.query(sql, employeeNumbers);
+  }
+
+  async updateEmployee(employeeId, updates, connection = null) {
+    const columns = Object.keys(updates);
+    if (!columns.length) return;
+
+    const sql = `
+      UPDATE employees 
+      SET ${columns.map(column => `${column} = ?`).join(', ')}
+      WHERE id = ?
+    `;
+    await this.query(sql, [...columns.map(column => updates[column]), employeeId], connection);
+  }
+
   // Time Tracking
   async clockIn(employeeId, location, ipAddress) {
     const sql = `
@@ -143,18 +341,52 @@ class Database {
   }
 
   async clockOut(employeeId) {
+    // MySQL applies SET assignments left to right, so break_end and the hour
+    // columns below see the values assigned before them
     const sql = `
       UPDATE time_entries 
       SET clock_out = NOW(), 
-          total_hours = TIMESTAMPDIFF(MINUTE, clock_in, NOW()) / 60,
-          regular_hours = LEAST(TIMESTAMPDIFF(MINUTE, clock_in, NOW()) / 60, 8),
-          overtime_hours = GREATEST(TIMESTAMPDIFF(MINUTE, clock_in, NOW()) / 60 - 8, 0),
+          break_end = IF(break_start IS NOT NULL AND break_end IS NULL, NOW(), break_end),
+          total_hours = (TIMESTAMPDIFF(MINUTE, clock_in, clock_out) - 
+                         COALESCE(TIMESTAMPDIFF(MINUTE, break_start, break_end), 0)) / 60,
+          regular_hours = LEAST(total_hours, 8),
+          overtime_hours = GREATEST(total_hours - 8, 0),
           status = 'completed'
-      WHERE employee_id = ? AND date = CURDATE() AND status = 'active'
+      WHERE employee_id = ? AND status = 'active'
     `;
     await this.query(sql, [employeeId]);
   }
 
+  async startBreak(entryId) {
+    const sql = `
+      UPDATE time_entries 
+      SET break_start = NOW()
+      WHERE id = ? AND status = 'active' AND break_start IS NULL
+    `;
+    const result = await this.query(sql, [entryId]);
+    return result.affectedRows > 0;
+  }
+
+  async endBreak(entryId) {
+    const sql = `
+      UPDATE time_entries 
+      SET break_end = NOW()
+      WHERE id = ? AND status = 'active' AND break_start IS NOT NULL AND break_end IS NULL
+    `;
+    const result = await this.query(sql, [entryId]);
+    return result.affectedRows > 0;
+  }
+
+  async getActiveTimeEntry(employeeId) {
+    const sql = `
+      SELECT * FROM time_entries 
+      WHERE employee_id = ? AND status = 'active'
+      ORDER BY clock_in DESC LIMIT 1
+    `;
+    const result = await this.query(sql, [employeeId]);
+    return result[0];
+  }
+
   async getTodayTimeEntry(employeeId) {
     const sql = `
       SELECT * FROM time_entries 
@@ -165,6 +397,77 @@ class Database {
     return result[0];
   }
 
+  async getTimeEntryById(entryId) {
+    const result = await this.query('SELECT * FROM time_entries WHERE id = ?', [entryId]);
+    return result[0];
+  }
+
+  async getTimeEntries(employeeId, startDate, endDate) {
+    let sql = 'SELECT * FROM time_entries WHERE employee_id = ?';
+    const params = [employeeId];
+
+    if (startDate) {
+      sql += ' AND date >= ?';
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      sql += ' AND date <= ?';
+      params.push(endDate);
+    }
+
+    sql += ' ORDER BY date DESC, clock_in DESC';
+    return await this.query(sql, params);
+  }
+
+  async findTimeEntryByClockIn(employeeId, clockIn, connection = null) {
+    const sql = 'SELECT * FROM time_entries WHERE employee_id = ? AND clock_in = ? LIMIT 1';
+    const result = await this.query(sql, [employeeId, clockIn], connection);
+    return result[0];
+  }
+
+  async getOverlappingTimeEntries(employeeId, clockIn, clockOut, connection = null) {
+    const sql = `
+      SELECT * FROM time_entries 
+      WHERE employee_id = ? AND clock_in < ? AND COALESCE(clock_out, clock_in) > ?
+    `;
+    return await this.query(sql, [employeeId, clockOut, clockIn], connection);
+  }
+
+  async getRegularHoursForDate(employeeId, date, connection = null) {
+    const sql = `
+      SELECT COALESCE(SUM(regular_hours), 0) as regular_hours
+      FROM time_entries 
+      WHERE employee_id = ? AND date = ?
+    `;
+    const result = await this.query(sql, [employeeId, date], connection);
+    return parseFloat(result[0].regular_hours);
+  }
+
+  async createImportedTimeEntry(entryData, connection = null) {
+    const sql = `
+      INSERT INTO time_entries (
+        employee_id, clock_in, clock_out, break_start, break_end, date,
+        total_hours, regular_hours, overtime_hours, status, import_log_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'completed', ?)
+    `;
+    const params = [
+      entryData.employee_id,
+      entryData.clock_in,
+      entryData.clock_out,
+      entryData.break_start,
+      entryData.break_end,
+      entryData.date,
+      entryData.total_hours,
+      entryData.regular_hours,
+      entryData.overtime_hours,
+      entryData.import_log_id || null
+    ];
+
+    const result = await this.query(sql, params, connection);
+    return result.insertId;
+  }
+
   // Payroll Management
   async createPayrollPeriod(periodData) {
     const sql = `
@@ -196,6 +499,392 @@ class Database {
     return await this.query(sql, params);
   }
 
+  async getPayrollPeriodById(periodId, connection = null) {
+    const result = await this.query('SELECT * FROM payroll_periods WHERE id = ?', [periodId], connection);
+    return result[0];
+  }
+
+  async getPayrollPeriodByDates(startDate, endDate, connection = null) {
+    const sql = 'SELECT * FROM payroll_periods WHERE start_date = ? AND end_date = ?';
+    const result = await this.query(sql, [startDate, endDate], connection);
+    return result[0];
+  }
+
+  async getPayrollPeriodForDate(date, connection = null) {
+    const sql = `
+      SELECT * FROM payroll_periods 
+      WHERE ? BETWEEN start_date AND end_date
+      ORDER BY start_date DESC LIMIT 1
+    `;
+    const result = await this.query(sql, [date], connection);
+    return result[0];
+  }
+
+  async getOverlappingPayrollPeriods(startDate, endDate) {
+    const sql = `
+      SELECT * FROM payroll_periods 
+      WHERE start_date <= ? AND end_date >= ?
+    `;
+    return await this.query(sql, [endDate, startDate]);
+  }
+
+  async updatePayrollPeriodStatus(periodId, status) {
+    await this.query('UPDATE payroll_periods SET status = ? WHERE id = ?', [status, periodId]);
+  }
+
+  async getEmployeesForPeriod(startDate, endDate, employeeIds = null) {
+    let sql = `
+      SELECT * FROM employees 
+      WHERE is_active = true 
+        AND (hire_date IS NULL OR hire_date <= ?)
+        AND (termination_date IS NULL OR termination_date >= ?)
+    `;
+    const params = [endDate, startDate];
+
+    if (employeeIds && employeeIds.length) {
+      sql += ` AND id IN (${employeeIds.map(() => '?').join(', ')})`;
+      params.push(...employeeIds);
+    }
+
+    sql += ' ORDER BY last_name, first_name';
+    return await this.query(sql, params);
+  }
+
+  async getPeriodHoursSummary(startDate, endDate) {
+    const sql = `
+      SELECT employee_id,
+             SUM(regular_hours) as regular_hours,
+             SUM(overtime_hours) as overtime_hours,
+             COUNT(*) as entry_count
+      FROM time_entries
+      WHERE date BETWEEN ? AND ? AND status = 'completed'
+      GROUP BY employee_id
+    `;
+    return await this.query(sql, [startDate, endDate]);
+  }
+
+  async getPayrollEntry(periodId, employeeId, connection = null) {
+    const sql = 'SELECT * FROM payroll_entries WHERE payroll_period_id = ? AND employee_id = ?';
+    const result = await this.query(sql, [periodId, employeeId], connection);
+    return result[0];
+  }
+
+  async getPayrollEntries(periodId) {
+    const sql = `
+      SELECT pe.*, e.employee_number, e.first_name, e.last_name, e.department
+      FROM payroll_entries pe
+      JOIN employees e ON pe.employee_id = e.id
+      WHERE pe.payroll_period_id = ?
+      ORDER BY e.last_name, e.first_name
+    `;
+    return await this.query(sql, [periodId]);
+  }
+
+  async getPayslipEntries(periodId, employeeId = null) {
+    let sql = `
+      SELECT pe.*, e.employee_number, e.first_name, e.last_name, e.department,
+             e.position, e.birth_date, e.tin_number
+      FROM payroll_entries pe
+      JOIN employees e ON pe.employee_id = e.id
+      WHERE pe.payroll_period_id = ?
+    `;
+    const params = [periodId];
+
+    if (employeeId) {
+      sql += ' AND pe.employee_id = ?';
+      params.push(employeeId);
+    }
+
+    sql += ' ORDER BY e.last_name, e.first_name';
+    return await this.query(sql, params);
+  }
+
+  async createPayrollEntry(entryData, connection = null) {
+    const sql = `
+      INSERT INTO payroll_entries (
+        employee_id, payroll_period_id, hours_worked, overtime_hours, gross_pay,
+        basic_pay, overtime_pay, allowances, bonuses, sss_deduction,
+        philhealth_deduction, pagibig_deduction, withholding_tax, other_deductions,
+        total_deductions, net_pay, sss_employer_share, philhealth_employer_share,
+        pagibig_employer_share, de_minimis, status, import_log_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      entryData.employee_id,
+      entryData.payroll_period_id,
+      entryData.hours_worked,
+      entryData.overtime_hours,
+      entryData.gross_pay,
+      entryData.basic_pay,
+      entryData.overtime_pay,
+      entryData.allowances,
+      entryData.bonuses,
+      entryData.sss_deduction,
+      entryData.philhealth_deduction,
+      entryData.pagibig_deduction,
+      entryData.withholding_tax,
+      entryData.other_deductions,
+      entryData.total_deductions,
+      entryData.net_pay,
+      entryData.sss_employer_share || 0,
+      entryData.philhealth_employer_share || 0,
+      entryData.pagibig_employer_share || 0,
+      entryData.de_minimis || 0,
+      entryData.status || 'calculated',
+      entryData.import_log_id || null
+    ];
+
+    const result = await this.query(sql, params, connection);
+    return result.insertId;
+  }
+
+  // Per-employee payroll totals for periods ending in a year, before a given date
+  async getYearToDateTotals(year, beforeDate, employeeId = null) {
+    let sql = `
+      SELECT pe.employee_id,
+             SUM(pe.gross_pay) as gross_pay,
+             SUM(pe.basic_pay) as basic_pay,
+             SUM(pe.overtime_pay) as overtime_pay,
+             SUM(pe.allowances) as allowances,
+             SUM(pe.bonuses) as bonuses,
+             SUM(pe.de_minimis) as de_minimis,
+             SUM(pe.sss_deduction) as sss_deduction,
+             SUM(pe.philhealth_deduction) as philhealth_deduction,
+             SUM(pe.pagibig_deduction) as pagibig_deduction,
+             SUM(pe.withholding_tax) as withholding_tax,
+             SUM(pe.other_deductions) as other_deductions,
+             SUM(pe.total_deductions) as total_deductions,
+             SUM(pe.net_pay) as net_pay,
+             COUNT(*) as period_count
+      FROM payroll_entries pe
+      JOIN payroll_periods pp ON pe.payroll_period_id = pp.id
+      WHERE YEAR(pp.end_date) = ? AND pp.end_date < ?
+    `;
+    const params = [year, beforeDate];
+
+    if (employeeId) {
+      sql += ' AND pe.employee_id = ?';
+      params.push(employeeId);
+    }
+
+    sql += ' GROUP BY pe.employee_id';
+    return await this.query(sql, params);
+  }
+
+  async deletePayrollEntry(periodId, employeeId, connection = null) {
+    const sql = 'DELETE FROM payroll_entries WHERE payroll_period_id = ? AND employee_id = ?';
+    await this.query(sql, [periodId, employeeId], connection);
+  }
+
+  // Remittances: payroll periods belong to the month they end in
+  async getPayrollPeriodsForMonth(year, month) {
+    const sql = `
+      SELECT * FROM payroll_periods
+      WHERE YEAR(end_date) = ? AND MONTH(end_date) = ?
+      ORDER BY start_date
+    `;
+    return await this.query(sql, [year, month]);
+  }
+
+  async getMonthlyRemittanceTotals(year, month) {
+    const sql = `
+      SELECT pe.employee_id, e.employee_number, e.first_name, e.last_name, e.birth_date,
+             e.sss_number, e.philhealth_number, e.pagibig_number, e.tin_number,
+             SUM(pe.gross_pay) as gross_pay,
+             SUM(pe.basic_pay) as basic_pay,
+             SUM(pe.bonuses) as bonuses,
+             SUM(pe.de_minimis) as de_minimis,
+             SUM(pe.sss_deduction) as sss_deduction,
+             SUM(pe.sss_employer_share) as sss_employer_share,
+             SUM(pe.philhealth_deduction) as philhealth_deduction,
+             SUM(pe.philhealth_employer_share) as philhealth_employer_share,
+             SUM(pe.pagibig_deduction) as pagibig_deduction,
+             SUM(pe.pagibig_employer_share) as pagibig_employer_share,
+             SUM(pe.withholding_tax) as withholding_tax
+      FROM payroll_entries pe
+      JOIN employees e ON pe.employee_id = e.id
+      JOIN payroll_periods pp ON pe.payroll_period_id = pp.id
+      WHERE YEAR(pp.end_date) = ? AND MONTH(pp.end_date) = ?
+      GROUP BY pe.employee_id
+      ORDER BY e.last_name, e.first_name
+    `;
+    return await this.query(sql, [year, month]);
+  }
+
+  // Year End
+  async getPayrollPeriodsForYear(year) {
+    return await this.query('SELECT * FROM payroll_periods WHERE YEAR(end_date) = ? ORDER BY start_date', [year]);
+  }
+
+  // Compensation per employee over the payroll periods ending in a year
+  async getAnnualCompensation(year, employeeId = null) {
+    let sql = `
+      SELECT pe.employee_id, e.employee_number, e.first_name, e.last_name, e.birth_date,
+             e.address, e.position, e.hire_date, e.termination_date, e.tin_number,
+             SUM(pe.gross_pay) as gross_pay,
+             SUM(pe.basic_pay) as basic_pay,
+             SUM(pe.overtime_pay) as overtime_pay,
+             SUM(pe.allowances) as allowances,
+             SUM(pe.bonuses) as bonuses,
+             SUM(pe.de_minimis) as de_minimis,
+             SUM(pe.sss_deduction) as sss_deduction,
+             SUM(pe.philhealth_deduction) as philhealth_deduction,
+             SUM(pe.pagibig_deduction) as pagibig_deduction,
+             SUM(pe.withholding_tax) as withholding_tax,
+             COUNT(*) as period_count
+      FROM payroll_entries pe
+      JOIN employees e ON pe.employee_id = e.id
+      JOIN payroll_periods pp ON pe.payroll_period_id = pp.id
+      WHERE YEAR(pp.end_date) = ?
+    `;
+    const params = [year];
+
+    if (employeeId) {
+      sql += ' AND pe.employee_id = ?';
+      params.push(employeeId);
+    }
+
+    sql += ' GROUP BY pe.employee_id ORDER BY e.last_name, e.first_name';
+    return await this.query(sql, params);
+  }
+
+  // Disbursements
+  async getDisbursementEntries(periodId, batchId = null) {
+    let sql = `
+      SELECT pe.id, pe.employee_id, pe.net_pay, pe.disbursement_batch_id, pe.disbursed_at,
+             e.employee_number, e.first_name, e.last_name, e.bank_account
+      FROM payroll_entries pe
+      JOIN employees e ON pe.employee_id = e.id
+      WHERE pe.payroll_period_id = ?
+    `;
+    const params = [periodId];
+
+    if (batchId) {
+      sql += ' AND pe.disbursement_batch_id = ?';
+      params.push(batchId);
+    }
+
+    sql += ' ORDER BY e.last_name, e.first_name';
+    return await this.query(sql, params);
+  }
+
+  async getDisbursementBatches(periodId) {
+    const sql = `
+      SELECT db.*, ua.username as created_by_username
+      FROM disbursement_batches db
+      LEFT JOIN user_accounts ua ON db.created_by = ua.id
+      WHERE db.payroll_period_id = ?
+      ORDER BY db.created_at DESC
+    `;
+    return await this.query(sql, [periodId]);
+  }
+
+  async getDisbursementBatch(batchId) {
+    const result = await this.query('SELECT * FROM disbursement_batches WHERE id = ?', [batchId]);
+    return result[0];
+  }
+
+  // Batch numbers run YYYYMMDD-NNN per credit date. Bumping the date's counter row locks
+  // it until the caller's transaction ends, so concurrent batches wait for each other.
+  async getNextBatchNumber(creditDate, connection = null) {
+    const prefix = String(creditDate).replace(/-/g, '');
+    await this.query(
+      `INSERT INTO disbursement_batch_counters (credit_date, last_number) VALUES (?, 1)
+       ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+      [creditDate],
+      connection
+    );
+    const result = await this.query(
+      'SELECT last_number FROM disbursement_batch_counters WHERE credit_date = ?',
+      [creditDate],
+      connection
+    );
+    return `${prefix}-${String(result[0].last_number).padStart(3, '0')}`;
+  }
+
+  async createDisbursementBatch(batchData, entryIds, connection = null) {
+    const sql = `
+      INSERT INTO disbursement_batches (
+        payroll_period_id, batch_number, bank_format, credit_date, entry_count,
+        total_amount, account_hash_total, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      batchData.payroll_period_id,
+      batchData.batch_number,
+      batchData.bank_format,
+      batchData.credit_date,
+      batchData.entry_count,
+      batchData.total_amount,
+      batchData.account_hash_total,
+      batchData.created_by
+    ];
+
+    const result = await this.query(sql, params, connection);
+
+    const updated = await this.query(
+      `UPDATE payroll_entries SET disbursement_batch_id = ?, disbursed_at = NOW()
+       WHERE id IN (${entryIds.map(() => '?').join(', ')}) AND disbursement_batch_id IS NULL`,
+      [result.insertId, ...entryIds],
+      connection
+    );
+
+    if (updated.affectedRows !== entryIds.length) {
+      throw Object.assign(new Error('Some payroll entries were disbursed by another batch'), { code: 'ENTRIES_ALREADY_DISBURSED' });
+    }
+
+    return result.insertId;
+  }
+
+  // Contribution Schedules
+  async getContributionSchedules(agency = null) {
+    let sql = 'SELECT * FROM contribution_schedules';
+    const params = [];
+
+    if (agency) {
+      sql += ' WHERE agency = ?';
+      params.push(agency);
+    }
+
+    sql += ' ORDER BY agency, effective_from DESC';
+    return await this.query(sql, params);
+  }
+
+  async getEffectiveContributionSchedule(agency, date) {
+    const sql = `
+      SELECT * FROM contribution_schedules 
+      WHERE agency = ? AND effective_from <= ?
+      ORDER BY effective_from DESC, id DESC LIMIT 1
+    `;
+    const result = await this.query(sql, [agency, date]);
+    return result[0];
+  }
+
+  async createContributionSchedule(scheduleData) {
+    const sql = `
+      INSERT INTO contribution_schedules (
+        agency, name, effective_from, employee_rate, employer_rate, floor, ceiling,
+        employee_cap, employer_cap, brackets, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      scheduleData.agency,
+      scheduleData.name,
+      scheduleData.effective_from,
+      scheduleData.employee_rate,
+      scheduleData.employer_rate,
+      scheduleData.floor ?? null,
+      scheduleData.ceiling ?? null,
+      scheduleData.employee_cap ?? null,
+      scheduleData.employer_cap ?? null,
+      JSON.stringify(scheduleData.brackets || []),
+      scheduleData.created_by
+    ];
+
+    const result = await this.query(sql, params);
+    return result.insertId;
+  }
+
   // Reconciliation
   async createReconciliationLog(logData) {
     const sql = `
@@ -237,6 +926,192 @@ class Database {
     return await this.query(sql, params);
   }
 
+  // Imports
+  async getImportLog(importLogId) {
+    const result = await this.query('SELECT * FROM import_logs WHERE id = ?', [importLogId]);
+    return result[0];
+  }
+
+  async createImportLog(logData) {
+    const sql = `
+      INSERT INTO import_logs (
+        file_name, stored_path, file_hash, file_type, import_type, sheet_name, total_rows,
+        successful_rows, failed_rows, status, imported_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0, 'uploaded', ?)
+    `;
+    const params = [
+      logData.file_name,
+      logData.stored_path,
+      logData.file_hash,
+      logData.file_type,
+      logData.import_type,
+      logData.sheet_name || null,
+      logData.total_rows,
+      logData.imported_by
+    ];
+
+    const result = await this.query(sql, params);
+    return result.insertId;
+  }
+
+  async getImportBatch(batchId) {
+    return await this.query('SELECT * FROM import_logs WHERE batch_id = ? ORDER BY batch_order', [batchId]);
+  }
+
+  async hasPendingImportsForFile(storedPath, exceptImportLogId) {
+    const sql = `
+      SELECT COUNT(*) as count FROM import_logs
+      WHERE stored_path = ? AND id != ? AND status IN ('uploaded', 'validated', 'queued', 'running')
+    `;
+    const result = await this.query(sql, [storedPath, exceptImportLogId]);
+    return result[0].count > 0;
+  }
+
+  async getCompletedImportByHash(fileHash) {
+    const sql = `
+      SELECT il.*, ua.username as imported_by_username
+      FROM import_logs il
+      LEFT JOIN user_accounts ua ON il.imported_by = ua.id
+      WHERE il.file_hash = ? AND il.status = 'completed'
+      ORDER BY il.completed_at DESC LIMIT 1
+    `;
+    const result = await this.query(sql, [fileHash]);
+    return result[0];
+  }
+
+  async getAbandonedUploads(ttlHours) {
+    const sql = `
+      SELECT * FROM import_logs
+      WHERE status NOT IN ('queued', 'running', 'completed')
+        AND stored_path IS NOT NULL AND created_at < NOW() - INTERVAL ? HOUR
+    `;
+    return await this.query(sql, [ttlHours]);
+  }
+
+  async getImportLogsByStatus(statuses) {
+    const sql = `SELECT * FROM import_logs WHERE status IN (${statuses.map(() => '?').join(', ')}) ORDER BY id`;
+    return await this.query(sql, statuses);
+  }
+
+  async updateImportProgress(importLogId, progress) {
+    const sql = `
+      UPDATE import_logs 
+      SET processed_rows = ?, successful_rows = ?, failed_rows = ?
+      WHERE id = ?
+    `;
+    await this.query(sql, [progress.processed, progress.successful, progress.failed, importLogId]);
+  }
+
+  async addImportRowError(importLogId, rowNumber, message, rowData, columnName = null) {
+    const sql = `
+      INSERT INTO import_row_errors (import_log_id, row_num, column_name, error_message, row_data)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    await this.query(sql, [importLogId, rowNumber, columnName, message, rowData ? JSON.stringify(rowData) : null]);
+  }
+
+  async clearImportRowErrors(importLogId) {
+    await this.query('DELETE FROM import_row_errors WHERE import_log_id = ?', [importLogId]);
+  }
+
+  async getImportRowErrors(importLogId, limit = null) {
+    let sql = 'SELECT * FROM import_row_errors WHERE import_log_id = ? ORDER BY row_num, id';
+    if (limit) {
+      sql += ` LIMIT ${parseInt(limit)}`;
+    }
+    return await this.query(sql, [importLogId]);
+  }
+
+  async recordImportChange(change, connection = null) {
+    const sql = `
+      INSERT INTO import_changes (import_log_id, table_name, record_id, action, old_values, new_values)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      change.import_log_id,
+      change.table_name,
+      change.record_id,
+      change.action,
+      change.old_values ? JSON.stringify(change.old_values) : null,
+      change.new_values ? JSON.stringify(change.new_values) : null
+    ];
+    await this.query(sql, params, connection);
+  }
+
+  // Newest first, the order they are rolled back in
+  async getImportChanges(importLogId, connection = null) {
+    return await this.query('SELECT * FROM import_changes WHERE import_log_id = ? ORDER BY id DESC', [importLogId], connection);
+  }
+
+  // Mapping Profiles
+  async getMappingProfiles(filters = {}) {
+    let sql = 'SELECT * FROM mapping_profiles WHERE 1=1';
+    const params = [];
+
+    if (filters.import_type) {
+      sql += ' AND import_type = ?';
+      params.push(filters.import_type);
+    }
+
+    if (filters.import_types) {
+      sql += ` AND import_type IN (${filters.import_types.map(() => '?').join(', ')})`;
+      params.push(...filters.import_types);
+    }
+
+    if (filters.source) {
+      sql += ' AND source = ?';
+      params.push(filters.source);
+    }
+
+    sql += ' ORDER BY import_type, name';
+
+    return await this.query(sql, params);
+  }
+
+  async getMappingProfileById(profileId) {
+    const result = await this.query('SELECT * FROM mapping_profiles WHERE id = ?', [profileId]);
+    return result[0];
+  }
+
+  async createMappingProfile(profileData) {
+    const sql = `
+      INSERT INTO mapping_profiles (
+        name, import_type, source, header_signature, headers, column_mapping, column_transforms, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+      profileData.name,
+      profileData.import_type,
+      profileData.source || null,
+      profileData.header_signature,
+      JSON.stringify(profileData.headers),
+      JSON.stringify(profileData.column_mapping),
+      JSON.stringify(profileData.column_transforms || {}),
+      profileData.created_by
+    ];
+
+    const result = await this.query(sql, params);
+    return result.insertId;
+  }
+
+  async updateMappingProfile(profileId, updates) {
+    const columns = Object.keys(updates);
+    if (!columns.length) return;
+
+    const jsonColumns = ['headers', 'column_mapping', 'column_transforms'];
+    const sql = `
+      UPDATE mapping_profiles 
+      SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = NOW()
+      WHERE id = ?
+    `;
+    const params = columns.map(column => jsonColumns.includes(column) ? JSON.stringify(updates[column]) : updates[column]);
+    await this.query(sql, [...params, profileId]);
+  }
+
+  async deleteMappingProfile(profileId) {
+    await this.query('DELETE FROM mapping_profiles WHERE id = ?', [profileId]);
+  }
+
   // System Settings
   async getSystemSettings() {
     const sql = 'SELECT * FROM system_settings ORDER BY setting_key';
@@ -253,7 +1128,7 @@ class Database {
   }
 
   // Audit Logging
-  async logAction(userId, action, tableName, recordId, oldValues, newValues, ipAddress, userAgent) {
+  async logAction(userId, action, tableName, recordId, oldValues, newValues, ipAddress, userAgent, connection = null) {
     const sql = `
       INSERT INTO audit_logs (
         user_id, action, table_name, record_id, old_values, new_values, ip_address, user_agent
@@ -270,7 +1145,7 @@ class Database {
       userAgent
     ];
     
-    await this.query(sql, params);
+    await this.query(sql, params, connection);
   }
 }
 
@@ -1,8 +1,14 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Database = require('../models/Database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, getEffectivePermissions } = require('../middleware/auth');
+const {
+  DEFAULT_POLICY,
+  getLockoutPolicy,
+  validateLockoutPolicy,
+  getLockoutDuration
+} = require('../services/lockoutPolicy');
+const { hashToken, issueSession, rotateSession } = require('../services/sessions');
 
 const router = express.Router();
 
@@ -23,37 +29,64 @@ router.post('/login', async (req, res) => {
 
     // Check if account is locked
     if (user.locked_until && new Date() < new Date(user.locked_until)) {
-      return res.status(423).json({ error: 'Account temporarily locked' });
+      return res.status(423).json({ error: 'Account temporarily locked', lockedUntil: user.locked_until });
     }
 
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     
     if (!isValidPassword) {
-      // Increment failed login attempts
+      const policy = await getLockoutPolicy();
+      const failedAttempts = (user.failed_login_attempts || 0) + 1;
+
+      if (failedAttempts < policy.lockout_max_attempts) {
+        // Increment failed login attempts
+        await Database.query(
+          'UPDATE user_accounts SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?',
+          [user.id]
+        );
+
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      // Lock the account, backing off further on each repeated lockout
+      const lockoutCount = (user.lockout_count || 0) + 1;
+      const lockoutMinutes = getLockoutDuration(policy, lockoutCount);
+
       await Database.query(
-        'UPDATE user_accounts SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?',
-        [user.id]
+        `UPDATE user_accounts 
+         SET failed_login_attempts = 0, lockout_count = ?, 
+             locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE id = ?`,
+        [lockoutCount, lockoutMinutes, user.id]
       );
-      
-      return res.status(401).json({ error: 'Invalid credentials' });
+
+      await Database.logAction(
+        user.id,
+        'ACCOUNT_LOCKED',
+        'user_accounts',
+        user.id,
+        { failed_login_attempts: user.failed_login_attempts, lockout_count: user.lockout_count || 0 },
+        { lockout_count: lockoutCount, lockout_minutes: lockoutMinutes },
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      return res.status(423).json({ 
+        error: 'Too many failed login attempts. Account temporarily locked', 
+        lockoutMinutes 
+      });
     }
 
     // Reset failed login attempts and update last login
     await Database.query(
-      'UPDATE user_accounts SET failed_login_attempts = 0, locked_until = NULL, last_login = NOW() WHERE id = ?',
+      `UPDATE user_accounts 
+       SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL, last_login = NOW() 
+       WHERE id = ?`,
       [user.id]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        username: user.username, 
-        access_level: user.access_level 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    // Start a session with a short-lived access token and a refresh token
+    const { sessionId, token, refreshToken, expiresIn } = await issueSession(user, req);
 
     // Log the login
     await Database.logAction(
@@ -62,13 +95,15 @@ router.post('/login', async (req, res) => {
       'user_accounts',
       user.id,
       null,
-      { login_time: new Date() },
+      { login_time: new Date(), session_id: sessionId },
       req.ip,
       req.get('User-Agent')
     );
 
     res.json({
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         username: user.username,
@@ -80,7 +115,7 @@ router.post('/login', async (req, res) => {
         last_name: user.last_name,
         employee_number: user.employee_number,
         department: user.department,
-        permissions: user.permissions ? JSON.parse(user.permissions) : {}
+        permissions: getEffectivePermissions(user)
       }
     });
 
@@ -90,13 +125,241 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Register (Admin only)
-router.post('/register', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Database.getSessionByTokenHash(tokenHash);
+
+    if (!session || session.revoked_at) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // A rotated-out token being presented again means it leaked: end the session
+    if (!session.is_current) {
+      await Database.revokeSession(session.id, 'token_reuse');
+      await Database.logAction(
+        session.user_id,
+        'REFRESH_TOKEN_REUSE',
+        'user_sessions',
+        session.id,
+        null,
+        { revoked: true },
+        req.ip,
+        req.get('User-Agent')
+      );
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+      await Database.revokeSession(session.id, 'expired');
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+
+    const user = await Database.getUserById(session.user_id);
+
+    if (!user || !user.is_active) {
+      await Database.revokeSession(session.id, 'user_inactive');
+      return res.status(403).json({ error: 'User not found or inactive' });
+    }
+
+    const rotated = await rotateSession(session, user, tokenHash);
+
+    // A concurrent refresh with the same token won; the client should use its result
+    if (!rotated) {
+      return res.status(409).json({ error: 'Refresh token was already used by another request' });
+    }
+
+    const { token, refreshToken: newRefreshToken, expiresIn } = rotated;
+
+    res.json({ token, refreshToken: newRefreshToken, expiresIn });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout (current session)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await Database.revokeSession(req.sessionId, 'logout');
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'LOGOUT',
+      'user_sessions',
+      req.sessionId,
+      null,
+      { revoked: true },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await Database.revokeUserSessions(req.user.id, 'logout_all');
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'LOGOUT_ALL',
+      'user_sessions',
+      null,
+      null,
+      { revokedSessions: revoked },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Logged out from all devices', revokedSessions: revoked });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List my active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Database.getActiveSessions(req.user.id);
+
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke one of my sessions
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
   try {
-    if (req.user.access_level < 3) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    const session = await Database.getSessionById(req.params.sessionId);
+
+    if (!session || session.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
+    await Database.revokeSession(session.id, 'revoked_by_user');
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'REVOKE_SESSION',
+      'user_sessions',
+      session.id,
+      null,
+      { revoked: true },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Session revoked' });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// List a user's active sessions (Admin only)
+router.get('/users/:userId/sessions', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    res.json(await Database.getActiveSessions(req.params.userId));
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Deactivate a user account and end its sessions (Admin only)
+router.patch('/users/:userId/deactivate', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await Database.getUserById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    await Database.setUserActive(user.id, false);
+    const revoked = await Database.revokeUserSessions(user.id, 'user_deactivated');
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'DEACTIVATE_USER',
+      'user_accounts',
+      user.id,
+      { is_active: user.is_active },
+      { is_active: false, revokedSessions: revoked },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'User deactivated successfully', revokedSessions: revoked });
+
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ error: 'Failed to deactivate user' });
+  }
+});
+
+// Reactivate a user account (Admin only)
+router.patch('/users/:userId/reactivate', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await Database.getUserById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await Database.setUserActive(user.id, true);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'REACTIVATE_USER',
+      'user_accounts',
+      user.id,
+      { is_active: user.is_active },
+      { is_active: true },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'User reactivated successfully' });
+
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ error: 'Failed to reactivate user' });
+  }
+});
+
+// Register (Admin only)
+router.post('/register', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
     const {
       employee_id,
       username,
@@ -166,7 +429,7 @@ router.get('/profile', authenticateToken, (req, res) => {
       last_name: req.user.last_name,
       employee_number: req.user.employee_number,
       department: req.user.department,
-      permissions: req.user.permissions ? JSON.parse(req.user.permissions) : {}
+      permissions: getEffectivePermissions(req.user)
     }
   });
 });
@@ -194,6 +457,9 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       [newPasswordHash, req.user.id]
     );
 
+    // End every other session so a leaked password or token stops working
+    const revoked = await Database.revokeUserSessions(req.user.id, 'password_changed', req.sessionId);
+
     // Log the action
     await Database.logAction(
       req.user.id,
@@ -201,12 +467,12 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       'user_accounts',
       req.user.id,
       null,
-      { password_changed: true },
+      { password_changed: true, revokedSessions: revoked },
       req.ip,
       req.get('User-Agent')
     );
 
-    res.json({ message: 'Password changed successfully' });
+    res.json({ message: 'Password changed successfully', revokedSessions: revoked });
 
   } catch (error) {
     console.error('Change password error:', error);
@@ -214,4 +480,120 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// Get account lockout policy (Admin only)
+router.get('/lockout-policy', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    res.json(await getLockoutPolicy());
+  } catch (error) {
+    console.error('Get lockout policy error:', error);
+    res.status(500).json({ error: 'Failed to fetch lockout policy' });
+  }
+});
+
+// Update account lockout policy (Admin only)
+router.put('/lockout-policy', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+  try {
+    const updates = {};
+    Object.keys(req.body).forEach(key => {
+      updates[key] = req.body[key];
+    });
+
+    const errors = validateLockoutPolicy(updates);
+    if (!Object.keys(updates).length || errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid lockout policy', 
+        details: errors, 
+        settings: Object.keys(DEFAULT_POLICY) 
+      });
+    }
+
+    const oldPolicy = await getLockoutPolicy();
+
+    for (const [key, value] of Object.entries(updates)) {
+      await Database.updateSystemSetting(key, String(value), req.user.id);
+    }
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'UPDATE_LOCKOUT_POLICY',
+      'system_settings',
+      null,
+      oldPolicy,
+      updates,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Lockout policy updated successfully', policy: await getLockoutPolicy() });
+
+  } catch (error) {
+    console.error('Update lockout policy error:', error);
+    res.status(500).json({ error: 'Failed to update lockout policy' });
+  }
+});
+
+// List locked accounts (Admin only)
+router.get('/locked-accounts', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const accounts = await Database.query(
+      `SELECT ua.id, ua.username, ua.email, ua.failed_login_attempts, ua.lockout_count, 
+              ua.locked_until, e.first_name, e.last_name, e.employee_number
+       FROM user_accounts ua
+       LEFT JOIN employees e ON ua.employee_id = e.id
+       WHERE ua.locked_until > NOW()
+       ORDER BY ua.locked_until DESC`
+    );
+
+    res.json(accounts);
+
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({ error: 'Failed to fetch locked accounts' });
+  }
+});
+
+// Unlock an account (Admin only)
+router.post('/unlock/:userId', authenticateToken, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const account = await Database.query(
+      'SELECT id, username, failed_login_attempts, lockout_count, locked_until FROM user_accounts WHERE id = ?',
+      [userId]
+    );
+
+    if (!account.length) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await Database.query(
+      'UPDATE user_accounts SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL WHERE id = ?',
+      [userId]
+    );
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'UNLOCK_ACCOUNT',
+      'user_accounts',
+      account[0].id,
+      {
+        failed_login_attempts: account[0].failed_login_attempts,
+        lockout_count: account[0].lockout_count,
+        locked_until: account[0].locked_until
+      },
+      { failed_login_attempts: 0, lockout_count: 0, locked_until: null },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: `Account ${account[0].username} unlocked successfully` });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
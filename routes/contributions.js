@@ -0,0 +1,133 @@
+const express = require('express');
+const Database = require('../models/Database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  AGENCIES,
+  normalizeSchedule,
+  validateSchedule,
+  calculateContribution,
+  getSchedulesForDate
+} = require('../services/contributionTables');
+
+const router = express.Router();
+
+// List loaded contribution schedules
+router.get('/schedules', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
+  try {
+    const { agency } = req.query;
+
+    if (agency && !AGENCIES.includes(agency)) {
+      return res.status(400).json({ error: `Invalid agency. Must be one of: ${AGENCIES.join(', ')}` });
+    }
+
+    const schedules = await Database.getContributionSchedules(agency);
+
+    res.json(schedules.map(normalizeSchedule));
+
+  } catch (error) {
+    console.error('Get contribution schedules error:', error);
+    res.status(500).json({ error: 'Failed to fetch contribution schedules' });
+  }
+});
+
+// Get the schedules in effect on a date (defaults to today)
+router.get('/schedules/effective', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
+  try {
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    if (isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    res.json({ date, schedules: await getSchedulesForDate(date) });
+
+  } catch (error) {
+    console.error('Get effective contribution schedules error:', error);
+    res.status(500).json({ error: 'Failed to fetch effective contribution schedules' });
+  }
+});
+
+// Load a new contribution schedule
+router.post('/schedules', authenticateToken, requirePermission('contributions.manage'), async (req, res) => {
+  try {
+    const schedule = {
+      agency: req.body.agency,
+      name: req.body.name,
+      effective_from: req.body.effective_from,
+      employee_rate: req.body.employee_rate,
+      employer_rate: req.body.employer_rate,
+      floor: req.body.floor ?? null,
+      ceiling: req.body.ceiling ?? null,
+      employee_cap: req.body.employee_cap ?? null,
+      employer_cap: req.body.employer_cap ?? null,
+      brackets: req.body.brackets || []
+    };
+
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid contribution schedule', details: errors });
+    }
+
+    const scheduleId = await Database.createContributionSchedule({
+      ...schedule,
+      created_by: req.user.id
+    });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CREATE_CONTRIBUTION_SCHEDULE',
+      'contribution_schedules',
+      scheduleId,
+      null,
+      {
+        agency: schedule.agency,
+        name: schedule.name,
+        effective_from: schedule.effective_from,
+        brackets: schedule.brackets.length
+      },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({ message: 'Contribution schedule loaded successfully', scheduleId });
+
+  } catch (error) {
+    console.error('Create contribution schedule error:', error);
+    res.status(500).json({ error: 'Failed to load contribution schedule' });
+  }
+});
+
+// Calculate monthly contributions for a compensation amount
+router.get('/calculate', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
+  try {
+    const { compensation } = req.query;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    if (compensation === undefined || isNaN(parseFloat(compensation))) {
+      return res.status(400).json({ error: 'compensation must be a number' });
+    }
+
+    if (isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const schedules = await getSchedulesForDate(date);
+    const contributions = {};
+
+    AGENCIES.forEach(agency => {
+      contributions[agency] = {
+        schedule: schedules[agency].name,
+        ...calculateContribution(schedules[agency], compensation)
+      };
+    });
+
+    res.json({ date, monthlyCompensation: parseFloat(compensation), contributions });
+
+  } catch (error) {
+    console.error('Calculate contributions error:', error);
+    res.status(500).json({ error: 'Failed to calculate contributions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const Database = require('../models/Database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Columns that can be set through create/update
+const EMPLOYEE_FIELDS = [
+  'employee_number', 'first_name', 'last_name', 'email', 'phone', 'department',
+  'position', 'hire_date', 'birth_date', 'address', 'emergency_contact_name',
+  'emergency_contact_phone', 'hourly_rate', 'salary', 'pay_type',
+  'sss_number', 'philhealth_number', 'pagibig_number', 'tin_number', 'bank_account'
+];
+
+const REQUIRED_FIELDS = ['employee_number', 'first_name', 'last_name', 'department'];
+
+// Columns that always hold a value: the required ones and those create defaults
+const NOT_NULL_FIELDS = [...REQUIRED_FIELDS, 'position', 'hire_date', 'pay_type'];
+
+const PAY_TYPES = ['hourly', 'salary'];
+
+// List employees
+router.get('/', authenticateToken, requirePermission('employees.view'), async (req, res) => {
+  try {
+    const { department, position, pay_type, search, status } = req.query;
+
+    const filters = { department, position, pay_type, search };
+    if (status === 'active') filters.is_active = true;
+    if (status === 'inactive') filters.is_active = false;
+
+    const employees = await Database.getEmployees(filters);
+
+    res.json({ employees, total: employees.length });
+
+  } catch (error) {
+    console.error('Get employees error:', error);
+    res.status(500).json({ error: 'Failed to fetch employees' });
+  }
+});
+
+// Get employee by ID
+router.get('/:id', authenticateToken, requirePermission('employees.view'), async (req, res) => {
+  try {
+    const employee = await Database.getEmployeeById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json(employee);
+
+  } catch (error) {
+    console.error('Get employee error:', error);
+    res.status(500).json({ error: 'Failed to fetch employee' });
+  }
+});
+
+// Create employee
+router.post('/', authenticateToken, requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const employeeData = pickEmployeeFields(req.body);
+
+    const missingFields = REQUIRED_FIELDS.filter(field => !employeeData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({ error: 'Missing required fields', missingFields });
+    }
+
+    if (employeeData.pay_type && !PAY_TYPES.includes(employeeData.pay_type)) {
+      return res.status(400).json({ error: `Invalid pay_type. Must be one of: ${PAY_TYPES.join(', ')}` });
+    }
+
+    const existing = await Database.getEmployeeByNumber(employeeData.employee_number);
+    if (existing) {
+      return res.status(409).json({ error: `Employee ${employeeData.employee_number} already exists` });
+    }
+
+    const employeeId = await Database.createEmployee({
+      ...Object.fromEntries(EMPLOYEE_FIELDS.map(field => [field, null])),
+      ...employeeData,
+      position: employeeData.position || 'Employee',
+      hire_date: employeeData.hire_date || new Date().toISOString().split('T')[0],
+      pay_type: employeeData.pay_type || 'hourly',
+      is_active: true
+    });
+
+    const employee = await Database.getEmployeeById(employeeId);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CREATE_EMPLOYEE',
+      'employees',
+      employeeId,
+      null,
+      employee,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({ message: 'Employee created successfully', employee });
+
+  } catch (error) {
+    console.error('Create employee error:', error);
+    res.status(500).json({ error: 'Failed to create employee' });
+  }
+});
+
+// Partially update employee
+router.patch('/:id', authenticateToken, requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const employee = await Database.getEmployeeById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const updates = pickEmployeeFields(req.body);
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+
+    // Empty strings arrive as null, which these columns do not accept
+    const clearedFields = NOT_NULL_FIELDS.filter(field => field in updates && updates[field] === null);
+
+    if (clearedFields.length > 0) {
+      return res.status(400).json({ error: 'Required fields cannot be empty', clearedFields });
+    }
+
+    if (updates.pay_type && !PAY_TYPES.includes(updates.pay_type)) {
+      return res.status(400).json({ error: `Invalid pay_type. Must be one of: ${PAY_TYPES.join(', ')}` });
+    }
+
+    if (updates.employee_number && updates.employee_number !== employee.employee_number) {
+      const existing = await Database.getEmployeeByNumber(updates.employee_number);
+      if (existing) {
+        return res.status(409).json({ error: `Employee ${updates.employee_number} already exists` });
+      }
+    }
+
+    await changeEmployee(req, employee, updates, 'UPDATE_EMPLOYEE');
+
+    res.json({
+      message: 'Employee updated successfully',
+      employee: await Database.getEmployeeById(employee.id)
+    });
+
+  } catch (error) {
+    console.error('Update employee error:', error);
+    res.status(500).json({ error: 'Failed to update employee' });
+  }
+});
+
+// Deactivate employee
+router.patch('/:id/deactivate', authenticateToken, requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const employee = await Database.getEmployeeById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    if (!employee.is_active) {
+      return res.status(409).json({ error: 'Employee is already inactive' });
+    }
+
+    await changeEmployee(req, employee, { is_active: false }, 'DEACTIVATE_EMPLOYEE');
+
+    res.json({ message: 'Employee deactivated successfully' });
+
+  } catch (error) {
+    console.error('Deactivate employee error:', error);
+    res.status(500).json({ error: 'Failed to deactivate employee' });
+  }
+});
+
+// Reactivate employee
+router.patch('/:id/reactivate', authenticateToken, requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const employee = await Database.getEmployeeById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    if (employee.is_active) {
+      return res.status(409).json({ error: 'Employee is already active' });
+    }
+
+    await changeEmployee(req, employee, { is_active: true, termination_date: null }, 'REACTIVATE_EMPLOYEE');
+
+    res.json({ message: 'Employee reactivated successfully' });
+
+  } catch (error) {
+    console.error('Reactivate employee error:', error);
+    res.status(500).json({ error: 'Failed to reactivate employee' });
+  }
+});
+
+// Set or clear termination date
+router.patch('/:id/termination', authenticateToken, requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const { termination_date } = req.body;
+
+    if (termination_date === undefined) {
+      return res.status(400).json({ error: 'termination_date required (null to clear)' });
+    }
+
+    if (termination_date !== null && isNaN(Date.parse(termination_date))) {
+      return res.status(400).json({ error: 'Invalid termination_date' });
+    }
+
+    const employee = await Database.getEmployeeById(req.params.id);
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    if (termination_date && employee.hire_date && new Date(termination_date) < new Date(employee.hire_date)) {
+      return res.status(400).json({ error: 'Termination date cannot be before hire date' });
+    }
+
+    await changeEmployee(req, employee, { termination_date }, 'SET_TERMINATION_DATE');
+
+    res.json({ message: termination_date ? 'Termination date set' : 'Termination date cleared' });
+
+  } catch (error) {
+    console.error('Set termination date error:', error);
+    res.status(500).json({ error: 'Failed to set termination date' });
+  }
+});
+
+// Helper functions
+function pickEmployeeFields(body) {
+  const data = {};
+  EMPLOYEE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return data;
+}
+
+async function changeEmployee(req, employee, updates, action) {
+  const oldValues = {};
+  Object.keys(updates).forEach(field => {
+    oldValues[field] = employee[field];
+  });
+
+  await Database.updateEmployee(employee.id, updates);
+
+  await Database.logAction(
+    req.user.id,
+    action,
+    'employees',
+    employee.id,
+    oldValues,
+    updates,
+    req.ip,
+    req.get('User-Agent')
+  );
+}
+
+module.exports = router;
@@ -3,11 +3,37 @@ const multer = require('multer');
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const Database = require('../models/Database');
-const { authenticateToken, requireAccessLevel } = require('../middleware/auth');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const {
+  IMPORT_TYPE_ORDER,
+  startImportJob,
+  startImportBatch,
+  cancelImportJob,
+  getImportProgress
+} = require('../services/importJobs');
+const { readWorkbookSheets, readMappedRows } = require('../services/importFiles');
+const {
+  normalizeHeader,
+  suggestColumnMapping,
+  getHeaderSignature,
+  detectMappingProfile,
+  resolveProfileMapping,
+  normalizeMappingKeys,
+  validateColumnMapping
+} = require('../services/columnMapping');
+const { coerceRow, getFieldColumns } = require('../services/importSchemas');
+const { PAYROLL_DUPLICATE_POLICIES, diffEmployeeRow } = require('../services/importRows');
+const { isPeriodEditable } = require('../services/payrollPeriods');
+const { EXPORT_FORMATS, CSV_DELIMITERS, CSV_ENCODINGS, selectColumns, renderExport } = require('../services/exportFormats');
+const { renderReconciliationWorkbook } = require('../services/reconciliationWorkbook');
+const { canRollBack, getRollbackLogs, findRollbackBlockers, revertImports } = require('../services/importRollback');
 
 const router = express.Router();
 
+const EMPLOYEE_IMPORT_MODES = ['create', 'merge'];
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -41,97 +67,231 @@ const upload = multer({
 });
 
 // Upload and preview Excel/CSV file
-router.post('/upload', authenticateToken, requireAccessLevel(3), upload.single('file'), async (req, res) => {
+router.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { importType } = req.body; // 'payroll', 'attendance', 'employees'
+    // importType is optional for workbooks whose sheets are mapped to types in /process
+    const { importType, sheetName: requestedSheet } = req.body; // 'payroll', 'attendance', 'employees'
     
-    if (!['payroll', 'attendance', 'employees'].includes(importType)) {
+    if (importType && !IMPORT_TYPE_ORDER.includes(importType)) {
+      fs.unlinkSync(req.file.path);
       return res.status(400).json({ error: 'Invalid import type' });
     }
 
+    const allowedTypes = IMPORT_TYPE_ORDER.filter(type => hasPermission(req.user, `import.${type}`));
+    if (importType ? !allowedTypes.includes(importType) : !allowedTypes.length) {
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({ error: `Permission 'import.${importType || '*'}' required` });
+    }
+
     const filePath = req.file.path;
     const fileExt = path.extname(req.file.originalname).toLowerCase();
-    
-    let workbook;
-    if (fileExt === '.csv') {
-      const csvData = fs.readFileSync(filePath, 'utf8');
-      workbook = XLSX.read(csvData, { type: 'string' });
-    } else {
-      workbook = XLSX.readFile(filePath);
+    const fileHash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+    // The same file was already imported; require explicit confirmation to import it again
+    const previousImport = await Database.getCompletedImportByHash(fileHash);
+    if (previousImport && req.body.confirmDuplicate !== 'true') {
+      fs.unlinkSync(filePath);
+      return res.status(409).json({
+        error: 'This file has already been imported. Re-upload with confirmDuplicate=true to import it again',
+        previousImport: {
+          importLogId: previousImport.id,
+          fileName: previousImport.file_name,
+          importType: previousImport.import_type,
+          importedBy: previousImport.imported_by_username,
+          completedAt: previousImport.completed_at
+        }
+      });
     }
+    
+    const sheets = readWorkbookSheets(filePath, fileExt.substring(1));
+    const selected = requestedSheet
+      ? sheets.find(sheet => sheet.name === requestedSheet)
+      : sheets.find(sheet => sheet.headers.length) || sheets[0];
 
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+    if (!selected) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: `Sheet "${requestedSheet}" not found`, sheets: sheets.map(sheet => sheet.name) });
+    }
 
-    if (jsonData.length === 0) {
+    if (!sheets.some(sheet => sheet.headers.length)) {
+      fs.unlinkSync(filePath);
       return res.status(400).json({ error: 'File is empty' });
     }
 
-    const headers = jsonData[0];
-    const rows = jsonData.slice(1);
+    const { headers, rows } = selected;
 
     // Validate headers based on import type
     const requiredHeaders = getRequiredHeaders(importType);
     const missingHeaders = requiredHeaders.filter(header => 
-      !headers.some(h => h && h.toLowerCase().includes(header.toLowerCase()))
+      !headers.some(h => h && String(h).toLowerCase().includes(header.toLowerCase()))
     );
 
     if (missingHeaders.length > 0) {
+      fs.unlinkSync(filePath);
       return res.status(400).json({ 
         error: 'Missing required columns', 
+        sheetName: selected.name,
         missingHeaders,
         requiredHeaders 
       });
     }
 
     // Create import log
-    const importLogId = await Database.query(
-      `INSERT INTO import_logs (file_name, file_type, import_type, total_rows, 
-       successful_rows, failed_rows, status, imported_by) 
-       VALUES (?, ?, ?, ?, 0, 0, 'processing', ?)`,
-      [req.file.originalname, fileExt.substring(1), importType, rows.length, req.user.id]
-    );
+    const importLogId = await Database.createImportLog({
+      file_name: req.file.originalname,
+      stored_path: filePath,
+      file_hash: fileHash,
+      file_type: fileExt.substring(1),
+      import_type: importType || null,
+      sheet_name: selected.name,
+      total_rows: rows.length,
+      imported_by: req.user.id
+    });
 
-    // Preview data (first 10 rows)
-    const preview = rows.slice(0, 10).map(row => {
-      const rowData = {};
-      headers.forEach((header, index) => {
-        if (header) {
-          rowData[header] = row[index] || '';
-        }
-      });
-      return rowData;
+    if (previousImport) {
+      // Log the action
+      await Database.logAction(
+        req.user.id,
+        'CONFIRM_DUPLICATE_UPLOAD',
+        'import_logs',
+        importLogId,
+        null,
+        { fileHash, previousImportLogId: previousImport.id },
+        req.ip,
+        req.get('User-Agent')
+      );
+    }
+
+    // Saved profiles the user may import with, for auto-detecting each sheet's layout
+    const profiles = await Database.getMappingProfiles({ import_types: allowedTypes });
+
+    const sheetSummaries = sheets.map(sheet => {
+      let sheetType = sheet === selected && importType ? importType : suggestImportType(sheet.name);
+      const detected = detectMappingProfile(
+        sheet.headers,
+        sheetType ? profiles.filter(profile => profile.import_type === sheetType) : profiles
+      );
+
+      let mappingSuggestions = {};
+      let columnTransforms = {};
+      if (detected) {
+        sheetType = detected.profile.import_type;
+        ({ columnMapping: mappingSuggestions, columnTransforms } = resolveProfileMapping(detected.profile, sheet.headers));
+      } else if (sheetType) {
+        mappingSuggestions = suggestColumnMapping(sheet.headers, sheetType);
+      }
+
+      return {
+        name: sheet.name,
+        totalRows: sheet.rows.length,
+        headers: sheet.headers,
+        preview: previewRows(sheet),
+        suggestedImportType: sheetType,
+        mappingProfile: detected ? {
+          id: detected.profile.id,
+          name: detected.profile.name,
+          source: detected.profile.source,
+          matchedBy: detected.matchedBy,
+          score: detected.score
+        } : null,
+        mappingSuggestions,
+        columnTransforms
+      };
     });
+    const selectedSummary = sheetSummaries[sheets.indexOf(selected)];
 
     res.json({
-      importLogId: importLogId.insertId,
+      importLogId,
       fileName: req.file.originalname,
+      sheetName: selected.name,
       totalRows: rows.length,
+      duplicateOf: previousImport ? previousImport.id : null,
       headers,
-      preview,
-      mappingSuggestions: generateMappingSuggestions(headers, importType)
+      preview: selectedSummary.preview,
+      mappingSuggestions: selectedSummary.mappingSuggestions,
+      mappingProfile: selectedSummary.mappingProfile,
+      sheets: sheetSummaries
     });
 
   } catch (error) {
     console.error('File upload error:', error);
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
     res.status(500).json({ error: 'Failed to process file' });
   }
 });
 
-// Process the imported data
-router.post('/process', authenticateToken, requireAccessLevel(3), async (req, res) => {
+// Process the imported data: one sheet ({ importType, columnMapping, sheetName }) or
+// several sheets of a workbook as a batch ({ sheets: [{ sheetName, importType, columnMapping }] }).
+// A sheet can name a mappingProfileId instead of (or as well as) a columnMapping, and
+// columnTransforms keyed by header.
+router.post('/process', authenticateToken, async (req, res) => {
   try {
-    const { importLogId, columnMapping, importType } = req.body;
-
-    if (!importLogId || !columnMapping || !importType) {
+    const {
+      importLogId,
+      dryRun = false,
+      allowPartial = true,
+      employeeMode = 'create',
+      clearEmptyCells = false,
+      payrollPeriodId = null,
+      duplicatePolicy = 'reject'
+    } = req.body;
+
+    const batch = Array.isArray(req.body.sheets);
+    const requestedSheets = batch
+      ? req.body.sheets
+      : [{
+        sheetName: req.body.sheetName,
+        importType: req.body.importType,
+        columnMapping: req.body.columnMapping,
+        columnTransforms: req.body.columnTransforms,
+        mappingProfileId: req.body.mappingProfileId
+      }];
+
+    if (!importLogId || !requestedSheets.length ||
+        requestedSheets.some(sheet => !sheet || !sheet.importType || !(sheet.columnMapping || sheet.mappingProfileId))) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
+    const invalidType = requestedSheets.find(sheet => !IMPORT_TYPE_ORDER.includes(sheet.importType));
+    if (invalidType) {
+      return res.status(400).json({ error: `Invalid import type: ${invalidType.importType}` });
+    }
+
+    const deniedType = requestedSheets.find(sheet => !hasPermission(req.user, `import.${sheet.importType}`));
+    if (deniedType) {
+      return res.status(403).json({ error: `Permission 'import.${deniedType.importType}' required` });
+    }
+
+    if (typeof dryRun !== 'boolean' || typeof allowPartial !== 'boolean' || typeof clearEmptyCells !== 'boolean') {
+      return res.status(400).json({ error: 'dryRun, allowPartial and clearEmptyCells must be true or false' });
+    }
+
+    if (!EMPLOYEE_IMPORT_MODES.includes(employeeMode)) {
+      return res.status(400).json({ error: `Invalid employeeMode. Must be one of: ${EMPLOYEE_IMPORT_MODES.join(', ')}` });
+    }
+
+    if (!PAYROLL_DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+      return res.status(400).json({ error: `Invalid duplicatePolicy. Must be one of: ${PAYROLL_DUPLICATE_POLICIES.join(', ')}` });
+    }
+
+    if (payrollPeriodId) {
+      const period = await Database.getPayrollPeriodById(payrollPeriodId);
+
+      if (!period) {
+        return res.status(404).json({ error: 'Payroll period not found' });
+      }
+
+      if (!isPeriodEditable(period)) {
+        return res.status(409).json({ error: `Payroll period ${period.period_name} is ${period.status} and cannot be modified` });
+      }
+    }
+
     // Get import log
     const importLog = await Database.query(
       'SELECT * FROM import_logs WHERE id = ? AND imported_by = ?',
@@ -143,96 +303,365 @@ router.post('/process', authenticateToken, requireAccessLevel(3), async (req, re
     }
 
     const log = importLog[0];
-    const filePath = `./uploads/${log.file_name}`;
 
-    // Re-read the file
-    let workbook;
-    if (log.file_type === 'csv') {
-      const csvData = fs.readFileSync(filePath, 'utf8');
-      workbook = XLSX.read(csvData, { type: 'string' });
+    // A validated (dry-run) import can be run again for real
+    if (!['uploaded', 'validated'].includes(log.status)) {
+      return res.status(409).json({ error: `Import is already ${log.status}` });
+    }
+
+    const workbookSheets = readWorkbookSheets(log.stored_path, log.file_type);
+    const sheets = [];
+
+    for (const requested of requestedSheets) {
+      const sheetName = requested.sheetName || (batch ? null : log.sheet_name) || workbookSheets[0].name;
+      const sheet = workbookSheets.find(s => s.name === sheetName);
+
+      if (!sheet) {
+        return res.status(400).json({ error: `Sheet "${sheetName}" not found` });
+      }
+      if (sheets.some(s => s.sheetName === sheetName)) {
+        return res.status(400).json({ error: `Sheet "${sheetName}" is listed more than once` });
+      }
+
+      let columnMapping = requested.columnMapping;
+      let columnTransforms = requested.columnTransforms || {};
+
+      if (requested.mappingProfileId) {
+        const profile = await Database.getMappingProfileById(requested.mappingProfileId);
+        if (!profile || profile.import_type !== requested.importType) {
+          return res.status(400).json({ error: `Mapping profile ${requested.mappingProfileId} not found for ${requested.importType}` });
+        }
+
+        // Explicit mappings and transforms override the profile's
+        const resolved = resolveProfileMapping(profile, sheet.headers);
+        columnMapping = { ...resolved.columnMapping, ...(columnMapping || {}) };
+        columnTransforms = { ...resolved.columnTransforms, ...columnTransforms };
+      }
+
+      const mappingErrors = validateColumnMapping(requested.importType, columnMapping, columnTransforms);
+      if (mappingErrors.length) {
+        return res.status(400).json({ error: 'Invalid column mapping', sheetName, details: mappingErrors });
+      }
+
+      sheets.push({
+        sheetName,
+        importType: requested.importType,
+        columnMapping,
+        columnTransforms,
+        mappingProfileId: requested.mappingProfileId || null,
+        totalRows: sheet.rows.length
+      });
+    }
+
+    const mode = allowPartial ? 'partial' : 'atomic';
+    const options = { employeeMode, clearEmptyCells, payrollPeriodId, duplicatePolicy };
+    const settings = { mode, dryRun, options };
+
+    let importLogIds = [log.id];
+    if (batch) {
+      importLogIds = await startImportBatch(log, sheets, settings);
     } else {
-      workbook = XLSX.readFile(filePath);
+      await startImportJob(log.id, sheets[0], settings);
     }
 
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-    
-    const headers = jsonData[0];
-    const rows = jsonData.slice(1);
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'START_IMPORT',
+      'import_logs',
+      log.id,
+      null,
+      {
+        sheets: sheets.map(({ sheetName, importType, mappingProfileId, totalRows }) => ({
+          sheetName, importType, mappingProfileId, totalRows
+        })),
+        importLogIds,
+        mode,
+        dryRun,
+        options
+      },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(202).json({
+      message: dryRun ? 'Validation queued' : 'Import queued',
+      mode,
+      dryRun,
+      importLogId: log.id,
+      importLogIds,
+      progressUrl: `/api/excel/imports/${log.id}/progress`
+    });
+
+  } catch (error) {
+    console.error('Import processing error:', error);
+    res.status(500).json({ error: 'Failed to process import' });
+  }
+});
+
+// Preview what a merge-mode employee import would create and change
+router.post('/imports/:id/employee-diff', authenticateToken, requirePermission('import.employees'), async (req, res) => {
+  try {
+    const { columnMapping, columnTransforms = {}, sheetName, clearEmptyCells = false } = req.body;
+
+    if (!columnMapping) {
+      return res.status(400).json({ error: 'columnMapping required' });
+    }
+
+    const log = await getOwnImportLog(req);
+
+    // Multi-sheet uploads have no import type until processed
+    if (!log || (log.import_type && log.import_type !== 'employees')) {
+      return res.status(404).json({ error: 'Employee import not found' });
+    }
+
+    const mappedRows = readMappedRows({ ...log, sheet_name: sheetName || log.sheet_name }, columnMapping, columnTransforms);
+    const numbers = [...new Set(mappedRows.map(r => r.rowData.employee_number).filter(Boolean).map(String))];
+    const employees = await Database.getEmployeesByNumbers(numbers);
+    const byNumber = new Map(employees.map(e => [String(e.employee_number), e]));
 
-    let successCount = 0;
-    let failCount = 0;
-    const errors = [];
+    const created = [];
+    const updated = [];
+    const invalid = [];
+    let unchanged = 0;
 
-    // Process each row
-    for (let i = 0; i < rows.length; i++) {
+    const fieldColumns = getFieldColumns(columnMapping, columnTransforms);
+
+    mappedRows.forEach(({ rowNumber, rowData: mappedData, error }) => {
+      if (error) {
+        invalid.push({ row: rowNumber, error });
+        return;
+      }
+
+      let rowData;
       try {
-        const rowData = {};
-        headers.forEach((header, index) => {
-          const mappedField = columnMapping[header];
-          if (mappedField) {
-            rowData[mappedField] = rows[i][index] || '';
-          }
-        });
+        rowData = coerceRow(mappedData, 'employees', fieldColumns);
+      } catch (coerceError) {
+        invalid.push({ row: rowNumber, error: coerceError.message, cells: coerceError.cellErrors });
+        return;
+      }
+      if (!rowData.employee_number) return;
 
-        // Validate and process based on import type
-        await processRowData(rowData, importType, req.user.id);
-        successCount++;
+      const employee = byNumber.get(String(rowData.employee_number));
+      if (!employee) {
+        created.push({ row: rowNumber, employee_number: rowData.employee_number });
+        return;
+      }
 
-      } catch (error) {
-        failCount++;
-        errors.push({
-          row: i + 2, // +2 because we start from 1 and skip header
-          error: error.message
+      const changes = diffEmployeeRow(employee, rowData, { clearEmptyCells });
+      if (Object.keys(changes).length) {
+        updated.push({
+          row: rowNumber,
+          employee_id: employee.id,
+          employee_number: employee.employee_number,
+          name: `${employee.first_name} ${employee.last_name}`,
+          changes
         });
+      } else {
+        unchanged++;
       }
+    });
+
+    res.json({
+      importLogId: log.id,
+      summary: { created: created.length, updated: updated.length, unchanged, invalid: invalid.length },
+      created,
+      updated,
+      invalid
+    });
+
+  } catch (error) {
+    console.error('Employee diff error:', error);
+    res.status(500).json({ error: 'Failed to preview employee changes' });
+  }
+});
+
+// Poll import progress
+router.get('/imports/:id/progress', authenticateToken, async (req, res) => {
+  try {
+    const log = await getOwnImportLog(req);
+
+    if (!log) {
+      return res.status(404).json({ error: 'Import log not found' });
+    }
+
+    const progress = getImportProgress(log);
+
+    // Progress of every sheet in the batch, in processing order
+    if (log.batch_id) {
+      progress.batch = (await Database.getImportBatch(log.batch_id)).map(getImportProgress);
+    }
+
+    res.json(progress);
+
+  } catch (error) {
+    console.error('Get import progress error:', error);
+    res.status(500).json({ error: 'Failed to fetch import progress' });
+  }
+});
+
+// Cancel a queued or running import
+router.post('/imports/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const log = await getOwnImportLog(req);
+
+    if (!log) {
+      return res.status(404).json({ error: 'Import log not found' });
+    }
+
+    if (!canManageImport(req.user, log)) {
+      return res.status(403).json({ error: `Permission 'import.${log.import_type}' required` });
+    }
+
+    const cancelled = await cancelImportJob(log);
+    if (!cancelled) {
+      return res.status(409).json({ error: `Import is already ${log.status}` });
     }
 
-    // Update import log
-    await Database.query(
-      `UPDATE import_logs 
-       SET successful_rows = ?, failed_rows = ?, status = 'completed', 
-           completed_at = NOW(), error_details = ?
-       WHERE id = ?`,
-      [successCount, failCount, JSON.stringify(errors), importLogId]
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CANCEL_IMPORT',
+      'import_logs',
+      log.id,
+      { status: log.status },
+      { cancel_requested: true },
+      req.ip,
+      req.get('User-Agent')
     );
 
+    res.json({ message: 'Import cancellation requested' });
+
+  } catch (error) {
+    console.error('Cancel import error:', error);
+    res.status(500).json({ error: 'Failed to cancel import' });
+  }
+});
+
+// Roll back a finished import: delete the records it created and restore the ones it
+// updated or replaced. A sheet of a batch rolls back the whole batch.
+router.post('/imports/:id/rollback', authenticateToken, async (req, res) => {
+  try {
+    const log = await getOwnImportLog(req);
+
+    if (!log) {
+      return res.status(404).json({ error: 'Import log not found' });
+    }
+
+    if (!canRollBack(log)) {
+      return res.status(409).json({ error: `Import is ${log.dry_run ? 'a dry run' : log.status} and cannot be rolled back` });
+    }
+
+    const batch = log.batch_id ? await Database.getImportBatch(log.batch_id) : [log];
+    if (batch.some(l => ['queued', 'running'].includes(l.status))) {
+      return res.status(409).json({ error: 'Wait for every sheet of the batch to finish before rolling it back' });
+    }
+
+    const logs = await getRollbackLogs(log);
+
+    const denied = logs.find(l => !hasPermission(req.user, `import.${l.import_type}`));
+    if (denied) {
+      return res.status(403).json({ error: `Permission 'import.${denied.import_type}' required` });
+    }
+
+    const { lockedPeriods, conflicts } = await findRollbackBlockers(logs);
+
+    if (lockedPeriods.length) {
+      return res.status(409).json({
+        error: 'The import wrote to payroll periods that can no longer be modified',
+        lockedPeriods
+      });
+    }
+
+    if (conflicts.length) {
+      return res.status(409).json({ error: 'Records were changed after the import', conflicts });
+    }
+
+    const importLogIds = logs.map(l => l.id);
+    const counts = await Database.transaction(connection => revertImports(logs, req.user.id, connection));
+
     // Log the action
     await Database.logAction(
       req.user.id,
-      'IMPORT_DATA',
+      'ROLLBACK_IMPORT',
       'import_logs',
-      importLogId,
-      null,
-      { importType, successCount, failCount },
+      log.id,
+      { importLogIds, statuses: logs.map(l => l.status) },
+      { status: 'reverted', ...counts },
       req.ip,
       req.get('User-Agent')
     );
 
-    // Clean up uploaded file
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    res.json({ message: 'Import rolled back', importLogIds, ...counts });
+
+  } catch (error) {
+    // Later data (time entries, payroll, user accounts) still points at an imported employee
+    if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+      return res.status(409).json({ error: 'Records created by the import are referenced by data added since' });
     }
+    console.error('Rollback import error:', error);
+    res.status(500).json({ error: 'Failed to roll back import' });
+  }
+});
 
-    res.json({
-      message: 'Import completed',
-      successCount,
-      failCount,
-      errors: errors.slice(0, 50) // Limit errors in response
+// Download failed rows as CSV
+router.get('/imports/:id/errors', authenticateToken, async (req, res) => {
+  try {
+    const log = await getOwnImportLog(req);
+
+    if (!log) {
+      return res.status(404).json({ error: 'Import log not found' });
+    }
+
+    const rowErrors = await Database.getImportRowErrors(log.id);
+
+    // Union of mapped fields across failed rows, in first-seen order
+    const fields = [];
+    const errorRows = rowErrors.map(rowError => {
+      const rowData = (typeof rowError.row_data === 'string' ? JSON.parse(rowError.row_data) : rowError.row_data) || {};
+      Object.keys(rowData).forEach(field => {
+        if (!fields.includes(field)) fields.push(field);
+      });
+      return { row: rowError.row_num, column: rowError.column_name || '', error: rowError.error_message, ...rowData };
     });
 
+    const worksheet = XLSX.utils.json_to_sheet(errorRows, { header: ['row', 'column', 'error', ...fields] });
+    const csv = XLSX.utils.sheet_to_csv(worksheet);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="import-${log.id}-errors.csv"`);
+    res.send(csv);
+
   } catch (error) {
-    console.error('Import processing error:', error);
-    res.status(500).json({ error: 'Failed to process import' });
+    console.error('Get import errors error:', error);
+    res.status(500).json({ error: 'Failed to fetch import errors' });
   }
 });
 
 // Export data to Excel
-router.get('/export/:type', authenticateToken, requireAccessLevel(2), async (req, res) => {
+router.get('/export/:type', authenticateToken, requirePermission(req => `export.${req.params.type}`), async (req, res) => {
   try {
     const { type } = req.params;
-    const { startDate, endDate, department, format = 'xlsx' } = req.query;
+    const {
+      startDate, endDate, department, columns, periodId, threshold = {},
+      format = 'xlsx', delimiter = 'comma', encoding = 'utf-8', bom = 'true'
+    } = req.query;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    if (format === 'csv' && !CSV_DELIMITERS[delimiter]) {
+      return res.status(400).json({ error: `Invalid delimiter. Must be one of: ${Object.keys(CSV_DELIMITERS).join(', ')}` });
+    }
+
+    if (format === 'csv' && !CSV_ENCODINGS[encoding]) {
+      return res.status(400).json({ error: `Invalid encoding. Must be one of: ${Object.keys(CSV_ENCODINGS).join(', ')}` });
+    }
+
+    if (type === 'reconciliation') {
+      return await exportReconciliation(req, res, { periodId, format, thresholds: threshold });
+    }
 
     let data = [];
     let filename = '';
@@ -261,17 +690,26 @@ router.get('/export/:type', authenticateToken, requireAccessLevel(2), async (req
       return res.status(404).json({ error: 'No data found for export' });
     }
 
-    // Create workbook
-    const workbook = XLSX.utils.book_new();
-    const worksheet = XLSX.utils.json_to_sheet(data);
-    XLSX.utils.book_append_sheet(workbook, worksheet, type.charAt(0).toUpperCase() + type.slice(1));
+    let exportColumns;
+    try {
+      exportColumns = selectColumns(Object.keys(data[0]), columns);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    // Generate buffer
-    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: format });
+    const title = type.charAt(0).toUpperCase() + type.slice(1);
+    const buffer = renderExport(data, exportColumns, format, {
+      title: `${title} export`,
+      sheetName: title,
+      delimiter,
+      encoding,
+      bom: bom !== 'false'
+    });
 
     // Set headers
+    const contentType = EXPORT_FORMATS[format];
     res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Type', format === 'csv' ? `${contentType}; charset=${encoding}` : contentType);
 
     // Log the action
     await Database.logAction(
@@ -280,7 +718,7 @@ router.get('/export/:type', authenticateToken, requireAccessLevel(2), async (req
       null,
       null,
       null,
-      { exportType: type, recordCount: data.length },
+      { exportType: type, format, columns: exportColumns, recordCount: data.length },
       req.ip,
       req.get('User-Agent')
     );
@@ -293,8 +731,181 @@ router.get('/export/:type', authenticateToken, requireAccessLevel(2), async (req
   }
 });
 
+// List saved mapping profiles
+router.get('/mapping-profiles', authenticateToken, async (req, res) => {
+  try {
+    const { importType, source } = req.query;
+    const allowedTypes = IMPORT_TYPE_ORDER.filter(type => hasPermission(req.user, `import.${type}`));
+
+    if (importType && !allowedTypes.includes(importType)) {
+      return res.status(403).json({ error: `Permission 'import.${importType}' required` });
+    }
+
+    const profiles = await Database.getMappingProfiles({
+      import_types: importType ? [importType] : allowedTypes,
+      source
+    });
+
+    res.json(profiles);
+
+  } catch (error) {
+    console.error('Get mapping profiles error:', error);
+    res.status(500).json({ error: 'Failed to fetch mapping profiles' });
+  }
+});
+
+// Save a mapping profile from a file's headers and the mapping used for it
+router.post('/mapping-profiles', authenticateToken, requirePermission(req => `import.${req.body.importType}`), async (req, res) => {
+  try {
+    const { name, importType, source, headers, columnMapping, columnTransforms = {} } = req.body;
+
+    if (!name || !IMPORT_TYPE_ORDER.includes(importType) || !Array.isArray(headers) || !headers.length) {
+      return res.status(400).json({ error: 'name, a valid importType and the file headers are required' });
+    }
+
+    const mappingErrors = validateColumnMapping(importType, columnMapping, columnTransforms);
+    if (mappingErrors.length) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors });
+    }
+
+    const existing = await Database.getMappingProfiles({ import_type: importType });
+    if (existing.some(profile => profile.name === name)) {
+      return res.status(409).json({ error: `A ${importType} mapping profile named "${name}" already exists` });
+    }
+
+    const profileData = {
+      name,
+      import_type: importType,
+      source: source || null,
+      header_signature: getHeaderSignature(headers),
+      headers: headers.filter(Boolean).map(normalizeHeader),
+      column_mapping: normalizeMappingKeys(columnMapping),
+      column_transforms: normalizeMappingKeys(columnTransforms)
+    };
+
+    const profileId = await Database.createMappingProfile({ ...profileData, created_by: req.user.id });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CREATE_MAPPING_PROFILE',
+      'mapping_profiles',
+      profileId,
+      null,
+      profileData,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({ message: 'Mapping profile saved successfully', profileId });
+
+  } catch (error) {
+    console.error('Create mapping profile error:', error);
+    res.status(500).json({ error: 'Failed to save mapping profile' });
+  }
+});
+
+// Update a mapping profile's name, source, layout or mapping
+router.put('/mapping-profiles/:id', authenticateToken, async (req, res) => {
+  try {
+    const profile = await Database.getMappingProfileById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    if (!hasPermission(req.user, `import.${profile.import_type}`)) {
+      return res.status(403).json({ error: `Permission 'import.${profile.import_type}' required` });
+    }
+
+    const { name, source, headers, columnMapping, columnTransforms } = req.body;
+    const updates = {};
+
+    if (name !== undefined) updates.name = name;
+    if (source !== undefined) updates.source = source || null;
+    if (headers !== undefined) {
+      if (!Array.isArray(headers) || !headers.length) {
+        return res.status(400).json({ error: 'headers must be a non-empty list' });
+      }
+      updates.header_signature = getHeaderSignature(headers);
+      updates.headers = headers.filter(Boolean).map(normalizeHeader);
+    }
+    if (columnMapping !== undefined) updates.column_mapping = normalizeMappingKeys(columnMapping);
+    if (columnTransforms !== undefined) updates.column_transforms = normalizeMappingKeys(columnTransforms);
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value) || {};
+    const mappingErrors = validateColumnMapping(
+      profile.import_type,
+      updates.column_mapping || parse(profile.column_mapping),
+      updates.column_transforms || parse(profile.column_transforms)
+    );
+    if (mappingErrors.length) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors });
+    }
+
+    await Database.updateMappingProfile(profile.id, updates);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'UPDATE_MAPPING_PROFILE',
+      'mapping_profiles',
+      profile.id,
+      Object.fromEntries(Object.keys(updates).map(column => [column, profile[column]])),
+      updates,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Mapping profile updated successfully' });
+
+  } catch (error) {
+    console.error('Update mapping profile error:', error);
+    res.status(500).json({ error: 'Failed to update mapping profile' });
+  }
+});
+
+// Delete a mapping profile
+router.delete('/mapping-profiles/:id', authenticateToken, async (req, res) => {
+  try {
+    const profile = await Database.getMappingProfileById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    if (!hasPermission(req.user, `import.${profile.import_type}`)) {
+      return res.status(403).json({ error: `Permission 'import.${profile.import_type}' required` });
+    }
+
+    await Database.deleteMappingProfile(profile.id);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'DELETE_MAPPING_PROFILE',
+      'mapping_profiles',
+      profile.id,
+      { name: profile.name, import_type: profile.import_type, source: profile.source },
+      null,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Mapping profile deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete mapping profile error:', error);
+    res.status(500).json({ error: 'Failed to delete mapping profile' });
+  }
+});
+
 // Get import history
-router.get('/imports', authenticateToken, requireAccessLevel(3), async (req, res) => {
+router.get('/imports', authenticateToken, requirePermission('import.history'), async (req, res) => {
   try {
     const imports = await Database.query(
       `SELECT il.*, ua.username as imported_by_username
@@ -313,208 +924,101 @@ router.get('/imports', authenticateToken, requireAccessLevel(3), async (req, res
 });
 
 // Helper functions
-function getRequiredHeaders(importType) {
-  switch (importType) {
-    case 'payroll':
-      return ['employee_number', 'gross_pay', 'net_pay'];
-    case 'attendance':
-      return ['employee_number', 'date', 'clock_in'];
-    case 'employees':
-      return ['employee_number', 'first_name', 'last_name', 'department'];
-    default:
-      return [];
+// Reconciliation results of a period as a summary plus one sheet per reconciliation type.
+// thresholds: variance per type to highlight from, e.g. ?threshold[payroll]=500
+async function exportReconciliation(req, res, { periodId, format, thresholds }) {
+  if (!periodId) {
+    return res.status(400).json({ error: 'periodId is required' });
   }
-}
-
-function generateMappingSuggestions(headers, importType) {
-  const mappings = {};
-  const fieldMappings = {
-    payroll: {
-      'employee_number': ['emp_no', 'employee_id', 'emp_id', 'employee_number'],
-      'gross_pay': ['gross', 'gross_pay', 'gross_amount'],
-      'net_pay': ['net', 'net_pay', 'net_amount', 'take_home'],
-      'basic_pay': ['basic', 'basic_pay', 'basic_salary'],
-      'overtime_pay': ['overtime', 'ot_pay', 'overtime_amount']
-    },
-    attendance: {
-      'employee_number': ['emp_no', 'employee_id', 'emp_id', 'employee_number'],
-      'date': ['date', 'work_date', 'attendance_date'],
-      'clock_in': ['time_in', 'clock_in', 'start_time'],
-      'clock_out': ['time_out', 'clock_out', 'end_time']
-    },
-    employees: {
-      'employee_number': ['emp_no', 'employee_id', 'emp_id', 'employee_number'],
-      'first_name': ['first_name', 'fname', 'given_name'],
-      'last_name': ['last_name', 'lname', 'surname', 'family_name'],
-      'department': ['department', 'dept', 'division'],
-      'position': ['position', 'job_title', 'title', 'role']
-    }
-  };
-
-  const typeMapping = fieldMappings[importType] || {};
-
-  headers.forEach(header => {
-    const lowerHeader = header.toLowerCase();
-    for (const [field, variations] of Object.entries(typeMapping)) {
-      if (variations.some(variation => lowerHeader.includes(variation))) {
-        mappings[header] = field;
-        break;
-      }
-    }
-  });
 
-  return mappings;
-}
-
-async function processRowData(rowData, importType, userId) {
-  switch (importType) {
-    case 'employees':
-      await processEmployeeRow(rowData, userId);
-      break;
-    case 'attendance':
-      await processAttendanceRow(rowData, userId);
-      break;
-    case 'payroll':
-      await processPayrollRow(rowData, userId);
-      break;
-    default:
-      throw new Error('Invalid import type');
+  if (format !== 'xlsx') {
+    return res.status(400).json({ error: 'Reconciliation exports are only available as xlsx' });
   }
-}
 
-async function processEmployeeRow(rowData, userId) {
-  const requiredFields = ['employee_number', 'first_name', 'last_name', 'department'];
-  
-  for (const field of requiredFields) {
-    if (!rowData[field]) {
-      throw new Error(`Missing required field: ${field}`);
-    }
+  if (typeof thresholds !== 'object' || Object.values(thresholds).some(value => isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+    return res.status(400).json({ error: 'Variance thresholds must be non-negative numbers, e.g. threshold[payroll]=500' });
   }
 
-  // Check if employee already exists
-  const existing = await Database.query(
-    'SELECT id FROM employees WHERE employee_number = ?',
-    [rowData.employee_number]
-  );
+  const period = await Database.getPayrollPeriodById(periodId);
 
-  if (existing.length > 0) {
-    throw new Error(`Employee ${rowData.employee_number} already exists`);
+  if (!period) {
+    return res.status(404).json({ error: 'Payroll period not found' });
   }
 
-  await Database.createEmployee({
-    employee_number: rowData.employee_number,
-    first_name: rowData.first_name,
-    last_name: rowData.last_name,
-    email: rowData.email || null,
-    phone: rowData.phone || null,
-    department: rowData.department,
-    position: rowData.position || 'Employee',
-    hire_date: rowData.hire_date || new Date().toISOString().split('T')[0],
-    birth_date: rowData.birth_date || null,
-    address: rowData.address || null,
-    emergency_contact_name: rowData.emergency_contact_name || null,
-    emergency_contact_phone: rowData.emergency_contact_phone || null,
-    hourly_rate: rowData.hourly_rate || null,
-    salary: rowData.salary || null,
-    pay_type: rowData.pay_type || 'hourly',
-    is_active: true,
-    sss_number: rowData.sss_number || null,
-    philhealth_number: rowData.philhealth_number || null,
-    pagibig_number: rowData.pagibig_number || null,
-    tin_number: rowData.tin_number || null,
-    bank_account: rowData.bank_account || null
-  });
-}
+  const results = await Database.getReconciliationLogs(period.id);
 
-async function processAttendanceRow(rowData, userId) {
-  // Implementation for attendance import
-  const requiredFields = ['employee_number', 'date', 'clock_in'];
-  
-  for (const field of requiredFields) {
-    if (!rowData[field]) {
-      throw new Error(`Missing required field: ${field}`);
-    }
+  if (!results.length) {
+    return res.status(404).json({ error: 'No reconciliation results for this period' });
   }
 
-  // Get employee ID
-  const employee = await Database.query(
-    'SELECT id FROM employees WHERE employee_number = ?',
-    [rowData.employee_number]
+  const buffer = await renderReconciliationWorkbook(period, results, thresholds);
+  const filename = `reconciliation-${period.period_name}`.replace(/[^A-Za-z0-9_-]+/g, '_');
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  res.setHeader('Content-Type', EXPORT_FORMATS.xlsx);
+
+  // Log the action
+  await Database.logAction(
+    req.user.id,
+    'EXPORT_DATA',
+    null,
+    null,
+    null,
+    { exportType: 'reconciliation', payroll_period_id: period.id, recordCount: results.length },
+    req.ip,
+    req.get('User-Agent')
   );
 
-  if (!employee.length) {
-    throw new Error(`Employee ${rowData.employee_number} not found`);
-  }
-
-  // Insert time entry
-  await Database.query(
-    `INSERT INTO time_entries (employee_id, clock_in, clock_out, date, total_hours, regular_hours, overtime_hours, status)
-     VALUES (?, ?, ?, ?, ?, ?, ?, 'completed')`,
-    [
-      employee[0].id,
-      `${rowData.date} ${rowData.clock_in}`,
-      rowData.clock_out ? `${rowData.date} ${rowData.clock_out}` : null,
-      rowData.date,
-      rowData.total_hours || null,
-      rowData.regular_hours || null,
-      rowData.overtime_hours || null
-    ]
-  );
+  res.send(buffer);
 }
 
-async function processPayrollRow(rowData, userId) {
-  // Implementation for payroll import
-  const requiredFields = ['employee_number', 'gross_pay', 'net_pay'];
-  
-  for (const field of requiredFields) {
-    if (!rowData[field]) {
-      throw new Error(`Missing required field: ${field}`);
-    }
-  }
+// Import log visible to its uploader, or to anyone with import history access
+async function getOwnImportLog(req) {
+  const log = await Database.getImportLog(req.params.id);
+  if (!log) return null;
+  if (log.imported_by !== req.user.id && !hasPermission(req.user, 'import.history')) return null;
+  return log;
+}
 
-  // Get employee ID
-  const employee = await Database.query(
-    'SELECT id FROM employees WHERE employee_number = ?',
-    [rowData.employee_number]
-  );
+// Viewing an import is not enough to act on it: that takes being its uploader or
+// holding the permission to import its type
+function canManageImport(user, log) {
+  return log.imported_by === user.id || hasPermission(user, `import.${log.import_type}`);
+}
 
-  if (!employee.length) {
-    throw new Error(`Employee ${rowData.employee_number} not found`);
-  }
+// First 10 data rows of a sheet keyed by header
+function previewRows(sheet) {
+  return sheet.rows.slice(0, 10).map(row => {
+    const rowData = {};
+    sheet.headers.forEach((header, index) => {
+      if (header) {
+        rowData[header] = row[index] || '';
+      }
+    });
+    return rowData;
+  });
+}
 
-  // Get current payroll period
-  const period = await Database.query(
-    'SELECT id FROM payroll_periods WHERE status = "open" ORDER BY start_date DESC LIMIT 1'
-  );
+// Guess a sheet's import type from its tab name, e.g. "Employees" or "Time Logs"
+function suggestImportType(sheetName) {
+  const name = String(sheetName).toLowerCase();
+  if (/employee|staff|personnel/.test(name)) return 'employees';
+  if (/attendance|time|dtr/.test(name)) return 'attendance';
+  if (/payroll|salary|pay/.test(name)) return 'payroll';
+  return null;
+}
 
-  if (!period.length) {
-    throw new Error('No open payroll period found');
+function getRequiredHeaders(importType) {
+  switch (importType) {
+    case 'payroll':
+      return ['employee_number', 'gross_pay', 'net_pay'];
+    case 'attendance':
+      return ['employee_number', 'date', 'clock_in'];
+    case 'employees':
+      return ['employee_number', 'first_name', 'last_name', 'department'];
+    default:
+      return [];
   }
-
-  // Insert payroll entry
-  await Database.query(
-    `INSERT INTO payroll_entries (
-      employee_id, payroll_period_id, gross_pay, basic_pay, overtime_pay,
-      sss_deduction, philhealth_deduction, pagibig_deduction, withholding_tax,
-      other_deductions, total_deductions, net_pay, status
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'calculated')`,
-    [
-      employee[0].id,
-      period[0].id,
-      rowData.gross_pay,
-      rowData.basic_pay || rowData.gross_pay,
-      rowData.overtime_pay || 0,
-      rowData.sss_deduction || 0,
-      rowData.philhealth_deduction || 0,
-      rowData.pagibig_deduction || 0,
-      rowData.withholding_tax || 0,
-      rowData.other_deductions || 0,
-      (rowData.sss_deduction || 0) + (rowData.philhealth_deduction || 0) + 
-      (rowData.pagibig_deduction || 0) + (rowData.withholding_tax || 0) + 
-      (rowData.other_deductions || 0),
-      rowData.net_pay
-    ]
-  );
 }
 
 async function exportPayrollData(startDate, endDate, department) {
@@ -0,0 +1,670 @@
+const express = require('express');
+const JSZip = require('jszip');
+const Database = require('../models/Database');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const {
+  PERIOD_STATUSES,
+  PERIOD_TRANSITIONS,
+  canTransition,
+  isReopen,
+  isPeriodEditable
+} = require('../services/payrollPeriods');
+const { computePayrollEntry } = require('../services/payrollCalculator');
+const { round2 } = require('../services/rounding');
+const { getSchedulesForDate } = require('../services/contributionTables');
+const { calculateAnnualTax, calculatePeriodTax } = require('../services/withholdingTax');
+const {
+  PASSWORD_SOURCES,
+  formatDate,
+  getPayslipPassword,
+  getPayslipFileName,
+  renderPayslip
+} = require('../services/payslips');
+const { BANK_FORMATS, getCreditProblem, buildBankFile } = require('../services/bankFormats');
+
+const router = express.Router();
+
+// List payroll periods
+router.get('/periods', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !PERIOD_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const periods = await Database.getPayrollPeriods(status);
+
+    res.json(periods);
+
+  } catch (error) {
+    console.error('Get payroll periods error:', error);
+    res.status(500).json({ error: 'Failed to fetch payroll periods' });
+  }
+});
+
+// Get payroll period
+router.get('/periods/:id', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
+  try {
+    const period = await Database.getPayrollPeriodById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    res.json({
+      ...period,
+      allowedTransitions: PERIOD_TRANSITIONS[period.status] || []
+    });
+
+  } catch (error) {
+    console.error('Get payroll period error:', error);
+    res.status(500).json({ error: 'Failed to fetch payroll period' });
+  }
+});
+
+// Create payroll period
+router.post('/periods', authenticateToken, requirePermission('payroll.manage'), async (req, res) => {
+  try {
+    const { period_name, start_date, end_date, pay_date } = req.body;
+
+    if (!period_name || !start_date || !end_date || !pay_date) {
+      return res.status(400).json({ error: 'period_name, start_date, end_date and pay_date required' });
+    }
+
+    if (new Date(start_date) > new Date(end_date)) {
+      return res.status(400).json({ error: 'start_date must not be after end_date' });
+    }
+
+    const overlapping = await Database.getOverlappingPayrollPeriods(start_date, end_date);
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: 'Payroll period overlaps an existing period',
+        overlapping: overlapping.map(p => ({ id: p.id, period_name: p.period_name }))
+      });
+    }
+
+    const periodId = await Database.createPayrollPeriod({
+      period_name,
+      start_date,
+      end_date,
+      pay_date,
+      status: 'open'
+    });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CREATE_PAYROLL_PERIOD',
+      'payroll_periods',
+      periodId,
+      null,
+      { period_name, start_date, end_date, pay_date, status: 'open' },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      message: 'Payroll period created successfully',
+      period: await Database.getPayrollPeriodById(periodId)
+    });
+
+  } catch (error) {
+    console.error('Create payroll period error:', error);
+    res.status(500).json({ error: 'Failed to create payroll period' });
+  }
+});
+
+// Move a payroll period to another status
+router.post('/periods/:id/transition', authenticateToken, requirePermission('payroll.manage'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!PERIOD_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${PERIOD_STATUSES.join(', ')}` });
+    }
+
+    const period = await Database.getPayrollPeriodById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    if (!canTransition(period.status, status)) {
+      return res.status(409).json({
+        error: `Cannot move payroll period from ${period.status} to ${status}`,
+        allowedTransitions: PERIOD_TRANSITIONS[period.status] || []
+      });
+    }
+
+    if (isReopen(period.status, status)) {
+      if (!hasPermission(req.user, 'payroll.reopen')) {
+        return res.status(403).json({ error: "Permission 'payroll.reopen' required" });
+      }
+
+      if (!reason) {
+        return res.status(400).json({ error: 'A reason is required to reopen a payroll period' });
+      }
+    }
+
+    await Database.updatePayrollPeriodStatus(period.id, status);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      isReopen(period.status, status) ? 'REOPEN_PAYROLL_PERIOD' : 'TRANSITION_PAYROLL_PERIOD',
+      'payroll_periods',
+      period.id,
+      { status: period.status },
+      { status, reason: reason || null },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      message: `Payroll period moved to ${status}`,
+      period: await Database.getPayrollPeriodById(period.id)
+    });
+
+  } catch (error) {
+    console.error('Payroll period transition error:', error);
+    res.status(500).json({ error: 'Failed to update payroll period status' });
+  }
+});
+
+// Get payroll entries for a period
+router.get('/periods/:id/entries', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
+  try {
+    const period = await Database.getPayrollPeriodById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    const entries = await Database.getPayrollEntries(period.id);
+
+    res.json({ period, entries });
+
+  } catch (error) {
+    console.error('Get payroll entries error:', error);
+    res.status(500).json({ error: 'Failed to fetch payroll entries' });
+  }
+});
+
+// Compute payroll entries for a period from completed time entries
+router.post('/periods/:id/compute', authenticateToken, requirePermission('payroll.compute'), async (req, res) => {
+  try {
+    const { preview = false, recompute = false, employeeIds } = req.body;
+
+    if (employeeIds !== undefined && !Array.isArray(employeeIds)) {
+      return res.status(400).json({ error: 'employeeIds must be an array' });
+    }
+
+    const period = await Database.getPayrollPeriodById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    if (!preview && !isPeriodEditable(period)) {
+      return res.status(409).json({ error: `Payroll period ${period.period_name} is ${period.status} and cannot be modified` });
+    }
+
+    const employees = await Database.getEmployeesForPeriod(period.start_date, period.end_date, employeeIds);
+    const hoursSummary = await Database.getPeriodHoursSummary(period.start_date, period.end_date);
+    const existingEntries = await Database.getPayrollEntries(period.id);
+    const schedules = await getSchedulesForDate(period.end_date);
+    const taxYear = new Date(period.end_date).getFullYear();
+    const priorTotals = await Database.getYearToDateTotals(taxYear, period.start_date);
+
+    const hoursByEmployee = new Map(hoursSummary.map(h => [h.employee_id, h]));
+    const existingByEmployee = new Map(existingEntries.map(e => [e.employee_id, e]));
+    const priorByEmployee = new Map(priorTotals.map(t => [t.employee_id, t]));
+
+    const entries = [];
+    const skipped = [];
+
+    employees.forEach(employee => {
+      const existing = existingByEmployee.get(employee.id);
+      if (existing && !recompute) {
+        skipped.push({ employee_id: employee.id, employee_number: employee.employee_number, reason: 'Payroll entry already exists' });
+        return;
+      }
+
+      const prior = priorByEmployee.get(employee.id);
+      const entry = computePayrollEntry(employee, hoursByEmployee.get(employee.id), schedules, {
+        year: taxYear,
+        priorBonuses: prior ? prior.bonuses : 0
+      });
+      if (entry.gross_pay <= 0) {
+        skipped.push({ employee_id: employee.id, employee_number: employee.employee_number, reason: 'No pay for this period' });
+        return;
+      }
+
+      entries.push({
+        ...entry,
+        payroll_period_id: period.id,
+        employee_number: employee.employee_number,
+        first_name: employee.first_name,
+        last_name: employee.last_name,
+        replaces: existing ? existing.id : null
+      });
+    });
+
+    const totals = {
+      gross_pay: round2(entries.reduce((sum, e) => sum + e.gross_pay, 0)),
+      total_deductions: round2(entries.reduce((sum, e) => sum + e.total_deductions, 0)),
+      net_pay: round2(entries.reduce((sum, e) => sum + e.net_pay, 0))
+    };
+
+    if (preview) {
+      return res.json({ preview: true, period, entries, skipped, totals });
+    }
+
+    // Replacing a disbursed entry would drop its batch and pay the employee again
+    const disbursed = entries
+      .filter(e => e.replaces && existingByEmployee.get(e.employee_id).disbursement_batch_id)
+      .map(e => ({
+        employee_id: e.employee_id,
+        employee_number: e.employee_number,
+        payroll_entry_id: e.replaces,
+        disbursement_batch_id: existingByEmployee.get(e.employee_id).disbursement_batch_id
+      }));
+
+    if (disbursed.length) {
+      return res.status(409).json({
+        error: 'Some payroll entries were already disbursed and cannot be recomputed. Leave these employees out with employeeIds.',
+        disbursed
+      });
+    }
+
+    await Database.transaction(async (connection) => {
+      for (const entry of entries) {
+        if (entry.replaces) {
+          await Database.deletePayrollEntry(period.id, entry.employee_id, connection);
+        }
+        entry.id = await Database.createPayrollEntry(entry, connection);
+      }
+    });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      recompute ? 'RECOMPUTE_PAYROLL' : 'COMPUTE_PAYROLL',
+      'payroll_entries',
+      period.id,
+      null,
+      {
+        employeeIds: employeeIds || null,
+        computed: entries.length,
+        replaced: entries.filter(e => e.replaces).length,
+        skipped: skipped.length,
+        totals
+      },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      message: 'Payroll computed successfully',
+      period,
+      entries,
+      skipped,
+      totals
+    });
+
+  } catch (error) {
+    console.error('Compute payroll error:', error);
+    res.status(500).json({ error: 'Failed to compute payroll' });
+  }
+});
+
+// Withholding tax calculator
+router.get('/tax/calculate', authenticateToken, requirePermission('payroll.view'), async (req, res) => {
+  try {
+    const { taxable, periodsPerYear = '26' } = req.query;
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const periods = parseInt(periodsPerYear);
+
+    if (taxable === undefined || isNaN(parseFloat(taxable))) {
+      return res.status(400).json({ error: 'taxable must be a number' });
+    }
+
+    if (!periods || periods < 1) {
+      return res.status(400).json({ error: 'periodsPerYear must be a positive integer' });
+    }
+
+    const periodTax = calculatePeriodTax(taxable, periods, year);
+
+    res.json({
+      year,
+      periodsPerYear: periods,
+      taxable: parseFloat(taxable),
+      periodTax,
+      annualizedTax: calculateAnnualTax(parseFloat(taxable) * periods, year)
+    });
+
+  } catch (error) {
+    console.error('Tax calculation error:', error);
+    res.status(500).json({ error: 'Failed to calculate withholding tax' });
+  }
+});
+
+// Download one employee's payslip for a period
+router.get('/periods/:id/payslips/:employeeId', authenticateToken, async (req, res) => {
+  try {
+    const { id, employeeId } = req.params;
+    const { protect } = req.query;
+
+    if (String(req.user.employee_id) !== String(employeeId) && !hasPermission(req.user, 'payslips.view_all')) {
+      return res.status(403).json({ error: "Permission 'payslips.view_all' required" });
+    }
+
+    if (protect && !PASSWORD_SOURCES.includes(protect)) {
+      return res.status(400).json({ error: `Invalid protect option. Must be one of: ${PASSWORD_SOURCES.join(', ')}` });
+    }
+
+    const period = await Database.getPayrollPeriodById(id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    const entries = await Database.getPayslipEntries(period.id, employeeId);
+
+    if (!entries.length) {
+      return res.status(404).json({ error: 'No payroll entry for this employee in the period' });
+    }
+
+    const entry = entries[0];
+    const password = protect ? getPayslipPassword(entry, protect) : null;
+
+    if (protect && !password) {
+      return res.status(422).json({ error: `Employee has no ${protect} to protect the payslip with` });
+    }
+
+    const ytdTotals = await Database.getYearToDateTotals(
+      new Date(period.end_date).getFullYear(),
+      getDayAfter(period.end_date),
+      entry.employee_id
+    );
+    const pdf = renderPayslip(entry, period, ytdTotals[0] || {}, password);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'GENERATE_PAYSLIP',
+      'payroll_entries',
+      entry.id,
+      null,
+      { payroll_period_id: period.id, employee_id: entry.employee_id, protected_with: protect || null },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.setHeader('Content-Disposition', `attachment; filename="${getPayslipFileName(entry, period)}"`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Generate payslip error:', error);
+    res.status(500).json({ error: 'Failed to generate payslip' });
+  }
+});
+
+// Download all payslips for a period as a ZIP
+router.get('/periods/:id/payslips', authenticateToken, requirePermission('payslips.generate'), async (req, res) => {
+  try {
+    const { protect } = req.query;
+
+    if (protect && !PASSWORD_SOURCES.includes(protect)) {
+      return res.status(400).json({ error: `Invalid protect option. Must be one of: ${PASSWORD_SOURCES.join(', ')}` });
+    }
+
+    const period = await Database.getPayrollPeriodById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    const entries = await Database.getPayslipEntries(period.id);
+
+    if (!entries.length) {
+      return res.status(404).json({ error: 'No payroll entries for this period' });
+    }
+
+    const ytdTotals = await Database.getYearToDateTotals(
+      new Date(period.end_date).getFullYear(),
+      getDayAfter(period.end_date)
+    );
+    const ytdByEmployee = new Map(ytdTotals.map(t => [t.employee_id, t]));
+
+    const zip = new JSZip();
+    const skipped = [];
+
+    entries.forEach(entry => {
+      const password = protect ? getPayslipPassword(entry, protect) : null;
+
+      if (protect && !password) {
+        skipped.push(`${entry.employee_number}: no ${protect} to protect the payslip with`);
+        return;
+      }
+
+      zip.file(
+        getPayslipFileName(entry, period),
+        renderPayslip(entry, period, ytdByEmployee.get(entry.employee_id) || {}, password)
+      );
+    });
+
+    if (skipped.length) {
+      zip.file('skipped.txt', skipped.join('\n'));
+    }
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'GENERATE_PAYSLIPS',
+      'payroll_periods',
+      period.id,
+      null,
+      { generated: entries.length - skipped.length, skipped: skipped.length, protected_with: protect || null },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    const fileName = `payslips-${period.period_name}`.replace(/[^A-Za-z0-9_-]+/g, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+    res.setHeader('Content-Type', 'application/zip');
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('Generate payslips error:', error);
+    res.status(500).json({ error: 'Failed to generate payslips' });
+  }
+});
+
+// Bank credit file formats
+router.get('/bank-formats', authenticateToken, requirePermission('payroll.disburse'), (req, res) => {
+  res.json(Object.entries(BANK_FORMATS).map(([name, format]) => ({
+    name,
+    label: format.label,
+    layout: format.layout,
+    extension: format.extension,
+    accountFormat: format.account.description
+  })));
+});
+
+// Disbursement batches of a period
+router.get('/periods/:id/disbursements', authenticateToken, requirePermission('payroll.disburse'), async (req, res) => {
+  try {
+    const period = await Database.getPayrollPeriodById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    const batches = await Database.getDisbursementBatches(period.id);
+    const entries = await Database.getDisbursementEntries(period.id);
+
+    res.json({
+      batches,
+      disbursedEntries: entries.filter(e => e.disbursement_batch_id).length,
+      undisbursedEntries: entries.filter(e => !e.disbursement_batch_id).length
+    });
+
+  } catch (error) {
+    console.error('Get disbursements error:', error);
+    res.status(500).json({ error: 'Failed to fetch disbursements' });
+  }
+});
+
+// Create a disbursement batch from the period's entries that have not been paid yet.
+// Entries with no net pay or an account the bank format rejects are left out and reported.
+router.post('/periods/:id/disbursements', authenticateToken, requirePermission('payroll.disburse'), async (req, res) => {
+  try {
+    const { bankFormat } = req.body;
+    const format = BANK_FORMATS[bankFormat];
+
+    if (!format) {
+      return res.status(400).json({ error: `Invalid bankFormat. Must be one of: ${Object.keys(BANK_FORMATS).join(', ')}` });
+    }
+
+    const period = await Database.getPayrollPeriodById(req.params.id);
+
+    if (!period) {
+      return res.status(404).json({ error: 'Payroll period not found' });
+    }
+
+    // Net pay is final once the period is locked
+    if (period.status !== 'locked') {
+      return res.status(409).json({ error: `Payroll period ${period.period_name} is ${period.status}; lock it before disbursing` });
+    }
+
+    const creditDate = req.body.creditDate || formatDate(period.pay_date);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(creditDate) || isNaN(Date.parse(creditDate))) {
+      return res.status(400).json({ error: 'creditDate must be a date (YYYY-MM-DD)' });
+    }
+
+    const entries = (await Database.getDisbursementEntries(period.id)).filter(e => !e.disbursement_batch_id);
+    const included = [];
+    const excluded = [];
+
+    entries.forEach(entry => {
+      const problem = getCreditProblem(entry, format);
+      if (problem) {
+        excluded.push({ employee_number: entry.employee_number, payroll_entry_id: entry.id, reason: problem });
+      } else {
+        included.push(entry);
+      }
+    });
+
+    if (!included.length) {
+      return res.status(422).json({ error: 'No payroll entries left to disburse', excluded });
+    }
+
+    const batch = await Database.transaction(async (connection) => {
+      const batchNumber = await Database.getNextBatchNumber(creditDate, connection);
+      const file = buildBankFile(bankFormat, included, { batchNumber, creditDate });
+
+      const batchData = {
+        payroll_period_id: period.id,
+        batch_number: batchNumber,
+        bank_format: bankFormat,
+        credit_date: creditDate,
+        entry_count: file.entryCount,
+        total_amount: file.totalAmount,
+        account_hash_total: file.accountHashTotal,
+        created_by: req.user.id
+      };
+      const batchId = await Database.createDisbursementBatch(batchData, included.map(e => e.id), connection);
+
+      return { id: batchId, ...batchData };
+    });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CREATE_DISBURSEMENT',
+      'disbursement_batches',
+      batch.id,
+      null,
+      { ...batch, payroll_entry_ids: included.map(e => e.id), excluded: excluded.length },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      message: 'Disbursement batch created',
+      batch,
+      excluded,
+      fileUrl: `/api/payroll/periods/${period.id}/disbursements/${batch.id}/file`
+    });
+
+  } catch (error) {
+    if (error.code === 'ENTRIES_ALREADY_DISBURSED') {
+      return res.status(409).json({ error: 'Some payroll entries were already disbursed by another batch. Refresh and retry.' });
+    }
+    // A batch created at the same moment won the batch number
+    if (error.code === 'ER_DUP_ENTRY' || error.code === 'ER_LOCK_DEADLOCK') {
+      return res.status(409).json({ error: 'Another disbursement batch was being created at the same time. Refresh and retry.' });
+    }
+    console.error('Create disbursement error:', error);
+    res.status(500).json({ error: 'Failed to create disbursement batch' });
+  }
+});
+
+// Download the bank file of a batch
+router.get('/periods/:id/disbursements/:batchId/file', authenticateToken, requirePermission('payroll.disburse'), async (req, res) => {
+  try {
+    const batch = await Database.getDisbursementBatch(req.params.batchId);
+
+    if (!batch || String(batch.payroll_period_id) !== String(req.params.id)) {
+      return res.status(404).json({ error: 'Disbursement batch not found' });
+    }
+
+    const entries = await Database.getDisbursementEntries(batch.payroll_period_id, batch.id);
+    const file = buildBankFile(batch.bank_format, entries, {
+      batchNumber: batch.batch_number,
+      creditDate: formatDate(batch.credit_date)
+    });
+
+    // The file must credit exactly what the batch recorded
+    if (file.entryCount !== batch.entry_count ||
+        file.totalAmount !== round2(parseFloat(batch.total_amount)) ||
+        file.accountHashTotal !== batch.account_hash_total) {
+      return res.status(409).json({ error: 'Payroll entries of this batch changed after it was created' });
+    }
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'DOWNLOAD_DISBURSEMENT_FILE',
+      'disbursement_batches',
+      batch.id,
+      null,
+      { batch_number: batch.batch_number, bank_format: batch.bank_format },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    const format = BANK_FORMATS[batch.bank_format];
+    res.setHeader('Content-Disposition', `attachment; filename="credit-${batch.batch_number}.${format.extension}"`);
+    res.setHeader('Content-Type', format.contentType);
+    res.send(file.content);
+
+  } catch (error) {
+    console.error('Download disbursement file error:', error);
+    res.status(500).json({ error: 'Failed to generate disbursement file' });
+  }
+});
+
+// Helper functions
+function getDayAfter(date) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + 1);
+  return formatDate(next);
+}
+
+module.exports = router;
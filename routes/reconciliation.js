@@ -1,11 +1,19 @@
 const express = require('express');
 const Database = require('../models/Database');
-const { authenticateToken, requireAccessLevel } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isPeriodEditable } = require('../services/payrollPeriods');
+const { calculateGrossPay, PERIODS_PER_MONTH, SALARY_PERIODS_PER_YEAR } = require('../services/payrollCalculator');
+const { getSchedulesForDate, calculatePeriodContributions } = require('../services/contributionTables');
+const {
+  calculateAnnualTax,
+  calculatePeriodTax,
+  calculateTaxableCompensation
+} = require('../services/withholdingTax');
 
 const router = express.Router();
 
 // Run reconciliation for a payroll period
-router.post('/run/:periodId', authenticateToken, requireAccessLevel(3), async (req, res) => {
+router.post('/run/:periodId', authenticateToken, requirePermission('reconciliation.run'), async (req, res) => {
   try {
     const { periodId } = req.params;
     const { reconciliationType = 'all' } = req.body;
@@ -37,6 +45,11 @@ router.post('/run/:periodId', authenticateToken, requireAccessLevel(3), async (r
       reconciliationResults.push(...deductionDiscrepancies);
     }
 
+    if (reconciliationType === 'all' || reconciliationType === 'tax') {
+      const taxDiscrepancies = await runWithholdingTaxReconciliation(periodId);
+      reconciliationResults.push(...taxDiscrepancies);
+    }
+
     // Save reconciliation results
     for (const discrepancy of reconciliationResults) {
       await Database.createReconciliationLog({
@@ -76,7 +89,7 @@ router.post('/run/:periodId', authenticateToken, requireAccessLevel(3), async (r
 });
 
 // Get reconciliation results
-router.get('/results/:periodId', authenticateToken, requireAccessLevel(2), async (req, res) => {
+router.get('/results/:periodId', authenticateToken, requirePermission('reconciliation.view'), async (req, res) => {
   try {
     const { periodId } = req.params;
     const { status, type } = req.query;
@@ -120,7 +133,7 @@ router.get('/results/:periodId', authenticateToken, requireAccessLevel(2), async
 });
 
 // Resolve a reconciliation discrepancy
-router.patch('/resolve/:logId', authenticateToken, requireAccessLevel(3), async (req, res) => {
+router.patch('/resolve/:logId', authenticateToken, requirePermission('reconciliation.resolve'), async (req, res) => {
   try {
     const { logId } = req.params;
     const { status, resolutionNotes } = req.body;
@@ -129,6 +142,24 @@ router.patch('/resolve/:logId', authenticateToken, requireAccessLevel(3), async
       return res.status(400).json({ error: 'Invalid status. Must be "resolved" or "ignored"' });
     }
 
+    const log = await Database.query(
+      `SELECT rl.id, pp.period_name, pp.status as period_status
+       FROM reconciliation_logs rl
+       JOIN payroll_periods pp ON rl.payroll_period_id = pp.id
+       WHERE rl.id = ?`,
+      [logId]
+    );
+
+    if (!log.length) {
+      return res.status(404).json({ error: 'Reconciliation log not found' });
+    }
+
+    if (!isPeriodEditable({ status: log[0].period_status })) {
+      return res.status(409).json({ 
+        error: `Payroll period ${log[0].period_name} is ${log[0].period_status}; discrepancies can no longer be resolved` 
+      });
+    }
+
     await Database.query(
       `UPDATE reconciliation_logs 
        SET status = ?, resolved_by = ?, resolved_at = NOW(), resolution_notes = ?
@@ -157,7 +188,7 @@ router.patch('/resolve/:logId', authenticateToken, requireAccessLevel(3), async
 });
 
 // Get reconciliation dashboard data
-router.get('/dashboard', authenticateToken, requireAccessLevel(2), async (req, res) => {
+router.get('/dashboard', authenticateToken, requirePermission('reconciliation.view'), async (req, res) => {
   try {
     const { department, dateRange = '30' } = req.query;
 
@@ -357,12 +388,11 @@ async function runAttendanceReconciliation(periodId) {
 async function runDeductionReconciliation(periodId) {
   const discrepancies = [];
 
-  // Get system settings for deduction rates
-  const settings = await Database.getSystemSettings();
-  const settingsMap = settings.reduce((acc, setting) => {
-    acc[setting.setting_key] = parseFloat(setting.setting_value);
-    return acc;
-  }, {});
+  // Get the contribution schedules in effect for the period
+  const period = await Database.getPayrollPeriodById(periodId);
+  if (!period) return discrepancies;
+
+  const schedules = await getSchedulesForDate(period.end_date);
 
   // Get payroll entries with employee data
   const payrollEntries = await Database.query(`
@@ -373,8 +403,10 @@ async function runDeductionReconciliation(periodId) {
   `, [periodId]);
 
   for (const entry of payrollEntries) {
+    const contributions = calculatePeriodContributions(schedules, entry.basic_pay, PERIODS_PER_MONTH);
+
     // Check SSS deduction
-    const expectedSSS = entry.basic_pay * (settingsMap.sss_rate || 0.045);
+    const expectedSSS = contributions.sss.employee_share;
     const sssVariance = Math.abs(entry.sss_deduction - expectedSSS);
     
     if (sssVariance > 0.01) {
@@ -390,7 +422,7 @@ async function runDeductionReconciliation(periodId) {
     }
 
     // Check PhilHealth deduction
-    const expectedPhilHealth = entry.basic_pay * (settingsMap.philhealth_rate || 0.0275);
+    const expectedPhilHealth = contributions.philhealth.employee_share;
     const philHealthVariance = Math.abs(entry.philhealth_deduction - expectedPhilHealth);
     
     if (philHealthVariance > 0.01) {
@@ -406,7 +438,7 @@ async function runDeductionReconciliation(periodId) {
     }
 
     // Check Pag-IBIG deduction
-    const expectedPagIbig = entry.basic_pay * (settingsMap.pagibig_rate || 0.02);
+    const expectedPagIbig = contributions.pagibig.employee_share;
     const pagIbigVariance = Math.abs(entry.pagibig_deduction - expectedPagIbig);
     
     if (pagIbigVariance > 0.01) {
@@ -425,14 +457,95 @@ async function runDeductionReconciliation(periodId) {
   return discrepancies;
 }
 
-function calculateExpectedGrossPay(entry) {
-  if (entry.pay_type === 'salary') {
-    return entry.salary / 26; // Bi-weekly
-  } else {
-    const regularPay = (entry.hours_worked || 0) * (entry.hourly_rate || 0);
-    const overtimePay = (entry.overtime_hours || 0) * (entry.hourly_rate || 0) * 1.5;
-    return regularPay + overtimePay;
+async function runWithholdingTaxReconciliation(periodId) {
+  const discrepancies = [];
+
+  const period = await Database.getPayrollPeriodById(periodId);
+  if (!period) return discrepancies;
+
+  const taxYear = new Date(period.end_date).getFullYear();
+
+  const payrollEntries = await Database.query(`
+    SELECT pe.*, e.employee_number, e.first_name, e.last_name
+    FROM payroll_entries pe
+    JOIN employees e ON pe.employee_id = e.id
+    WHERE pe.payroll_period_id = ?
+  `, [periodId]);
+
+  const priorTotals = await Database.getYearToDateTotals(taxYear, period.start_date);
+  const priorByEmployee = new Map(priorTotals.map(t => [t.employee_id, t]));
+
+  for (const entry of payrollEntries) {
+    // Check this period's withholding tax
+    const prior = priorByEmployee.get(entry.employee_id);
+    const { taxable } = calculateTaxableCompensation({
+      gross_pay: entry.gross_pay,
+      bonuses: entry.bonuses,
+      de_minimis: entry.de_minimis,
+      contributions: parseFloat(entry.sss_deduction || 0) + parseFloat(entry.philhealth_deduction || 0) +
+        parseFloat(entry.pagibig_deduction || 0)
+    }, prior ? prior.bonuses : 0);
+
+    const expectedTax = calculatePeriodTax(taxable, SALARY_PERIODS_PER_YEAR, taxYear);
+    const taxVariance = Math.abs(entry.withholding_tax - expectedTax);
+
+    if (taxVariance > 0.01) {
+      discrepancies.push({
+        type: 'tax',
+        employee_id: entry.employee_id,
+        discrepancy_type: 'withholding_tax_mismatch',
+        expected_value: expectedTax,
+        actual_value: entry.withholding_tax,
+        variance: entry.withholding_tax - expectedTax,
+        description: `Withholding tax mismatch for ${entry.first_name} ${entry.last_name} (${entry.employee_number})`
+      });
+    }
   }
+
+  // Year-end annualization once the last period of the year is reconciled
+  const laterPeriods = await Database.query(
+    'SELECT COUNT(*) as count FROM payroll_periods WHERE YEAR(end_date) = ? AND end_date > ?',
+    [taxYear, period.end_date]
+  );
+
+  if (laterPeriods[0].count > 0) return discrepancies;
+
+  const annualTotals = await Database.getYearToDateTotals(taxYear, `${taxYear + 1}-01-01`);
+  const employeesInPeriod = new Map(payrollEntries.map(e => [e.employee_id, e]));
+
+  for (const totals of annualTotals) {
+    const employee = employeesInPeriod.get(totals.employee_id);
+    if (!employee) continue;
+
+    const { taxable } = calculateTaxableCompensation({
+      gross_pay: totals.gross_pay,
+      bonuses: totals.bonuses,
+      de_minimis: totals.de_minimis,
+      contributions: parseFloat(totals.sss_deduction || 0) + parseFloat(totals.philhealth_deduction || 0) +
+        parseFloat(totals.pagibig_deduction || 0)
+    });
+
+    const annualTaxDue = calculateAnnualTax(taxable, taxYear);
+    const totalWithheld = parseFloat(totals.withholding_tax || 0);
+
+    if (Math.abs(totalWithheld - annualTaxDue) > 0.01) {
+      discrepancies.push({
+        type: 'tax',
+        employee_id: totals.employee_id,
+        discrepancy_type: 'annualized_tax_mismatch',
+        expected_value: annualTaxDue,
+        actual_value: totalWithheld,
+        variance: totalWithheld - annualTaxDue,
+        description: `${taxYear} annualized tax ${totalWithheld > annualTaxDue ? 'over' : 'under'}-withheld for ${employee.first_name} ${employee.last_name} (${employee.employee_number})`
+      });
+    }
+  }
+
+  return discrepancies;
+}
+
+function calculateExpectedGrossPay(entry) {
+  return calculateGrossPay(entry).gross_pay;
 }
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,139 @@
+const express = require('express');
+const Database = require('../models/Database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { isPeriodEditable } = require('../services/payrollPeriods');
+const { REMITTANCE_REPORTS, buildRemittanceRows, renderRemittanceCsv } = require('../services/remittanceReports');
+
+const router = express.Router();
+
+// List remittance reports
+router.get('/', authenticateToken, requirePermission('remittances.generate'), (req, res) => {
+  res.json(Object.entries(REMITTANCE_REPORTS).map(([agency, report]) => ({
+    agency,
+    label: report.label,
+    employerNumberConfigured: !!report.employerId
+  })));
+});
+
+// Check a month's remittance before generating it: totals, the periods it covers,
+// periods still open and employees without a valid agency number
+router.get('/:agency', authenticateToken, requirePermission('remittances.generate'), async (req, res) => {
+  try {
+    const remittance = await loadRemittance(req, res);
+    if (!remittance) return;
+
+    const { report, year, month, periods, rows, missing } = remittance;
+
+    res.json({
+      agency: req.params.agency,
+      label: report.label,
+      month: `${year}-${String(month).padStart(2, '0')}`,
+      periods: periods.map(p => ({ id: p.id, period_name: p.period_name, status: p.status })),
+      openPeriods: periods.filter(isPeriodEditable).map(p => p.period_name),
+      employeeCount: rows.length,
+      totals: Object.fromEntries(report.summary(rows)),
+      missing
+    });
+
+  } catch (error) {
+    console.error('Get remittance error:', error);
+    res.status(500).json({ error: 'Failed to fetch remittance' });
+  }
+});
+
+// Download a month's remittance report. Refuses while a period of the month is still
+// open, and while employees lack a valid agency number unless excludeMissing=true.
+router.get('/:agency/file', authenticateToken, requirePermission('remittances.generate'), async (req, res) => {
+  try {
+    const remittance = await loadRemittance(req, res);
+    if (!remittance) return;
+
+    const { report, year, month, periods, rows, missing } = remittance;
+    const { agency } = req.params;
+
+    const openPeriods = periods.filter(isPeriodEditable);
+    if (openPeriods.length) {
+      return res.status(409).json({
+        error: 'Lock every payroll period of the month before generating its remittance',
+        openPeriods: openPeriods.map(p => p.period_name)
+      });
+    }
+
+    if (missing.length && req.query.excludeMissing !== 'true') {
+      return res.status(422).json({
+        error: `Employees without a valid ${report.idName}. Fix them or pass excludeMissing=true to leave them out.`,
+        missing
+      });
+    }
+
+    if (!rows.length) {
+      return res.status(404).json({ error: 'No contributions to remit for this month' });
+    }
+
+    const csv = renderRemittanceCsv(agency, rows, { year, month });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'GENERATE_REMITTANCE',
+      null,
+      null,
+      null,
+      {
+        agency,
+        month: `${year}-${String(month).padStart(2, '0')}`,
+        employeeCount: rows.length,
+        excluded: missing.map(m => m.employee_number),
+        totals: Object.fromEntries(report.summary(rows))
+      },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.setHeader('Content-Disposition', `attachment; filename="${agency}-remittance-${year}-${String(month).padStart(2, '0')}.csv"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Generate remittance error:', error);
+    res.status(500).json({ error: 'Failed to generate remittance' });
+  }
+});
+
+// Helper functions
+// Parse ?month=YYYY-MM and gather the month's report rows, or send a 400/404 and return null
+async function loadRemittance(req, res) {
+  const report = REMITTANCE_REPORTS[req.params.agency];
+
+  if (!report) {
+    res.status(400).json({ error: `Invalid agency. Must be one of: ${Object.keys(REMITTANCE_REPORTS).join(', ')}` });
+    return null;
+  }
+
+  const match = String(req.query.month || '').match(/^(\d{4})-(\d{2})$/);
+  if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) {
+    res.status(400).json({ error: 'month is required as YYYY-MM' });
+    return null;
+  }
+
+  const year = parseInt(match[1]);
+  const month = parseInt(match[2]);
+  const periods = await Database.getPayrollPeriodsForMonth(year, month);
+
+  if (!periods.length) {
+    res.status(404).json({ error: 'No payroll periods end in this month' });
+    return null;
+  }
+
+  // Bonuses paid earlier in the year use up the 13th-month exemption
+  const monthStart = `${year}-${String(month).padStart(2, '0')}-01`;
+  const ytdTotals = await Database.getYearToDateTotals(year, monthStart);
+  const priorBonuses = new Map(ytdTotals.map(t => [t.employee_id, t.bonuses]));
+
+  const totals = await Database.getMonthlyRemittanceTotals(year, month);
+  const { rows, missing } = buildRemittanceRows(req.params.agency, totals, priorBonuses);
+
+  return { report, year, month, periods, rows, missing };
+}
+
+module.exports = router;
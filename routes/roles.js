@@ -0,0 +1,247 @@
+const express = require('express');
+const Database = require('../models/Database');
+const { PERMISSIONS } = require('../config/permissions');
+const { authenticateToken, requirePermission, hasPermission, getEffectivePermissions } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List every named permission
+router.get('/permissions', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// List access levels
+router.get('/', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const levels = await Database.getAccessLevels();
+
+    res.json(levels.map(level => ({ ...level, permissions: getEffectivePermissions(level) })));
+
+  } catch (error) {
+    console.error('Get access levels error:', error);
+    res.status(500).json({ error: 'Failed to fetch access levels' });
+  }
+});
+
+// Get access level
+router.get('/:levelNumber', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const level = await Database.getAccessLevel(req.params.levelNumber);
+
+    if (!level) {
+      return res.status(404).json({ error: 'Access level not found' });
+    }
+
+    res.json({ ...level, permissions: getEffectivePermissions(level) });
+
+  } catch (error) {
+    console.error('Get access level error:', error);
+    res.status(500).json({ error: 'Failed to fetch access level' });
+  }
+});
+
+// Create access level
+router.post('/', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { level_number, level_name, permissions = {} } = req.body;
+
+    if (!Number.isInteger(level_number) || level_number < 1 || !level_name) {
+      return res.status(400).json({ error: 'A positive integer level_number and a level_name are required' });
+    }
+
+    const invalid = validatePermissionMap(permissions);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (await Database.getAccessLevel(level_number)) {
+      return res.status(409).json({ error: `Access level ${level_number} already exists` });
+    }
+
+    await Database.createAccessLevel({ level_number, level_name, permissions });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CREATE_ACCESS_LEVEL',
+      'access_levels',
+      level_number,
+      null,
+      { level_number, level_name, permissions },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({ message: 'Access level created successfully' });
+
+  } catch (error) {
+    console.error('Create access level error:', error);
+    res.status(500).json({ error: 'Failed to create access level' });
+  }
+});
+
+// Update access level name and/or permission set
+router.patch('/:levelNumber', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const level = await Database.getAccessLevel(req.params.levelNumber);
+
+    if (!level) {
+      return res.status(404).json({ error: 'Access level not found' });
+    }
+
+    const updates = {};
+    if (req.body.level_name !== undefined) updates.level_name = req.body.level_name;
+    if (req.body.permissions !== undefined) updates.permissions = req.body.permissions;
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'Nothing to update. Provide level_name and/or permissions' });
+    }
+
+    if (updates.permissions !== undefined) {
+      const invalid = validatePermissionMap(updates.permissions);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    await Database.updateAccessLevel(level.level_number, updates);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'UPDATE_ACCESS_LEVEL',
+      'access_levels',
+      level.level_number,
+      { level_name: level.level_name, permissions: getEffectivePermissions(level) },
+      updates,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Access level updated successfully' });
+
+  } catch (error) {
+    console.error('Update access level error:', error);
+    res.status(500).json({ error: 'Failed to update access level' });
+  }
+});
+
+// Delete access level
+router.delete('/:levelNumber', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const level = await Database.getAccessLevel(req.params.levelNumber);
+
+    if (!level) {
+      return res.status(404).json({ error: 'Access level not found' });
+    }
+
+    const userCount = await Database.countUsersWithAccessLevel(level.level_number);
+    if (userCount > 0) {
+      return res.status(409).json({ error: `Access level is assigned to ${userCount} user(s)` });
+    }
+
+    await Database.deleteAccessLevel(level.level_number);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'DELETE_ACCESS_LEVEL',
+      'access_levels',
+      level.level_number,
+      { level_name: level.level_name, permissions: getEffectivePermissions(level) },
+      null,
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Access level deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete access level error:', error);
+    res.status(500).json({ error: 'Failed to delete access level' });
+  }
+});
+
+// Get a user's effective permissions and where they come from
+router.get('/users/:userId/permissions', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const user = await Database.getUserById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      userId: user.id,
+      username: user.username,
+      access_level: user.access_level,
+      level_name: user.level_name,
+      levelPermissions: getEffectivePermissions({ permissions: user.permissions }),
+      overrides: getEffectivePermissions({ permissions: user.permission_overrides }),
+      effectivePermissions: Object.keys(PERMISSIONS).filter(name => hasPermission(user, name))
+    });
+
+  } catch (error) {
+    console.error('Get user permissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch user permissions' });
+  }
+});
+
+// Replace a user's permission overrides ({} clears them)
+router.put('/users/:userId/permissions', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { overrides } = req.body;
+
+    const invalid = validatePermissionMap(overrides);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const user = await Database.getUserById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await Database.setUserPermissionOverrides(user.id, overrides);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'UPDATE_USER_PERMISSIONS',
+      'user_accounts',
+      user.id,
+      { permission_overrides: getEffectivePermissions({ permissions: user.permission_overrides }) },
+      { permission_overrides: overrides },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'User permission overrides updated successfully' });
+
+  } catch (error) {
+    console.error('Update user permissions error:', error);
+    res.status(500).json({ error: 'Failed to update user permissions' });
+  }
+});
+
+// Helper functions
+function validatePermissionMap(permissions) {
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return 'Permissions must be an object of permission name to true/false';
+  }
+
+  const unknown = Object.keys(permissions).filter(name => !(name in PERMISSIONS));
+  if (unknown.length) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+
+  const nonBoolean = Object.keys(permissions).filter(name => typeof permissions[name] !== 'boolean');
+  if (nonBoolean.length) {
+    return `Permission values must be true or false: ${nonBoolean.join(', ')}`;
+  }
+
+  return null;
+}
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const Database = require('../models/Database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Clock in
+router.post('/clock-in', authenticateToken, requireLinkedEmployee, async (req, res) => {
+  try {
+    const employeeId = req.user.employee_id;
+    const { location } = req.body;
+
+    const activeEntry = await Database.getActiveTimeEntry(employeeId);
+    if (activeEntry) {
+      return res.status(409).json({ error: 'Already clocked in', entry: activeEntry });
+    }
+
+    const entryId = await Database.clockIn(employeeId, location || null, req.ip);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CLOCK_IN',
+      'time_entries',
+      entryId,
+      null,
+      { employee_id: employeeId, location: location || null },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      message: 'Clocked in successfully',
+      entry: await Database.getTimeEntryById(entryId)
+    });
+
+  } catch (error) {
+    console.error('Clock in error:', error);
+    res.status(500).json({ error: 'Failed to clock in' });
+  }
+});
+
+// Clock out
+router.post('/clock-out', authenticateToken, requireLinkedEmployee, async (req, res) => {
+  try {
+    const employeeId = req.user.employee_id;
+
+    const activeEntry = await Database.getActiveTimeEntry(employeeId);
+    if (!activeEntry) {
+      return res.status(409).json({ error: 'Not clocked in' });
+    }
+
+    await Database.clockOut(employeeId);
+    const entry = await Database.getTimeEntryById(activeEntry.id);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'CLOCK_OUT',
+      'time_entries',
+      entry.id,
+      { status: activeEntry.status },
+      { status: entry.status, total_hours: entry.total_hours },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({ message: 'Clocked out successfully', entry });
+
+  } catch (error) {
+    console.error('Clock out error:', error);
+    res.status(500).json({ error: 'Failed to clock out' });
+  }
+});
+
+// Start break
+router.post('/break/start', authenticateToken, requireLinkedEmployee, async (req, res) => {
+  try {
+    const activeEntry = await Database.getActiveTimeEntry(req.user.employee_id);
+    if (!activeEntry) {
+      return res.status(409).json({ error: 'Not clocked in' });
+    }
+
+    const started = await Database.startBreak(activeEntry.id);
+    if (!started) {
+      return res.status(409).json({ error: 'Break already taken for this time entry' });
+    }
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'START_BREAK',
+      'time_entries',
+      activeEntry.id,
+      null,
+      { break_started: true },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      message: 'Break started',
+      entry: await Database.getTimeEntryById(activeEntry.id)
+    });
+
+  } catch (error) {
+    console.error('Start break error:', error);
+    res.status(500).json({ error: 'Failed to start break' });
+  }
+});
+
+// End break
+router.post('/break/end', authenticateToken, requireLinkedEmployee, async (req, res) => {
+  try {
+    const activeEntry = await Database.getActiveTimeEntry(req.user.employee_id);
+    if (!activeEntry) {
+      return res.status(409).json({ error: 'Not clocked in' });
+    }
+
+    const ended = await Database.endBreak(activeEntry.id);
+    if (!ended) {
+      return res.status(409).json({ error: 'No break in progress' });
+    }
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'END_BREAK',
+      'time_entries',
+      activeEntry.id,
+      null,
+      { break_ended: true },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      message: 'Break ended',
+      entry: await Database.getTimeEntryById(activeEntry.id)
+    });
+
+  } catch (error) {
+    console.error('End break error:', error);
+    res.status(500).json({ error: 'Failed to end break' });
+  }
+});
+
+// Get today's clock status
+router.get('/today', authenticateToken, requireLinkedEmployee, async (req, res) => {
+  try {
+    const activeEntry = await Database.getActiveTimeEntry(req.user.employee_id);
+    const entry = activeEntry || await Database.getTodayTimeEntry(req.user.employee_id);
+
+    res.json({
+      clockedIn: !!activeEntry,
+      onBreak: !!(activeEntry && activeEntry.break_start && !activeEntry.break_end),
+      entry: entry || null
+    });
+
+  } catch (error) {
+    console.error('Get today status error:', error);
+    res.status(500).json({ error: 'Failed to fetch time status' });
+  }
+});
+
+// Get my time entries for a date range
+router.get('/entries', authenticateToken, requireLinkedEmployee, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const entries = await Database.getTimeEntries(req.user.employee_id, startDate, endDate);
+
+    res.json({
+      entries,
+      totalHours: entries.reduce((sum, e) => sum + parseFloat(e.total_hours || 0), 0)
+    });
+
+  } catch (error) {
+    console.error('Get time entries error:', error);
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+// Get time entries for any employee
+router.get('/entries/:employeeId', authenticateToken, requirePermission('time.view_all'), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const entries = await Database.getTimeEntries(employeeId, startDate, endDate);
+
+    res.json({
+      entries,
+      totalHours: entries.reduce((sum, e) => sum + parseFloat(e.total_hours || 0), 0)
+    });
+
+  } catch (error) {
+    console.error('Get employee time entries error:', error);
+    res.status(500).json({ error: 'Failed to fetch time entries' });
+  }
+});
+
+// Helper functions
+// The routes on the user's own time need the employee their account belongs to
+function requireLinkedEmployee(req, res, next) {
+  if (!req.user.employee_id) {
+    return res.status(400).json({ error: 'User account is not linked to an employee' });
+  }
+  next();
+}
+
+module.exports = router;
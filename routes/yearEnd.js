@@ -0,0 +1,213 @@
+const express = require('express');
+const JSZip = require('jszip');
+const Database = require('../models/Database');
+const { authenticateToken, requirePermission, hasPermission } = require('../middleware/auth');
+const { isPeriodEditable } = require('../services/payrollPeriods');
+const { round2 } = require('../services/rounding');
+const { computeYearEnd, getCertificateFileName, render2316, renderAlphalist } = require('../services/yearEnd');
+
+const router = express.Router();
+
+// Year-end summary: compensation, tax due and tax withheld per employee, and where the
+// annualized tax differs from what was withheld
+router.get('/:year', authenticateToken, requirePermission('tax.year_end'), async (req, res) => {
+  try {
+    const yearEnd = await loadYearEnd(req, res);
+    if (!yearEnd) return;
+
+    const { year, periods, records } = yearEnd;
+    const differences = records.filter(r => r.tax_difference !== 0);
+
+    res.json({
+      year,
+      periods: periods.length,
+      openPeriods: periods.filter(isPeriodEditable).map(p => p.period_name),
+      employees: records,
+      missingTin: records.filter(r => r.tin_error).map(r => ({
+        employee_id: r.employee_id,
+        employee_number: r.employee_number,
+        reason: r.tin_error
+      })),
+      totals: {
+        grossCompensation: round2(records.reduce((sum, r) => sum + r.gross_compensation, 0)),
+        nonTaxable: round2(records.reduce((sum, r) => sum + r.non_taxable, 0)),
+        taxable: round2(records.reduce((sum, r) => sum + r.taxable, 0)),
+        taxDue: round2(records.reduce((sum, r) => sum + r.tax_due, 0)),
+        taxWithheld: round2(records.reduce((sum, r) => sum + r.tax_withheld, 0)),
+        underWithheld: round2(differences.filter(r => r.tax_difference > 0).reduce((sum, r) => sum + r.tax_difference, 0)),
+        overWithheld: round2(-differences.filter(r => r.tax_difference < 0).reduce((sum, r) => sum + r.tax_difference, 0))
+      },
+      differences: differences.map(r => ({
+        employee_id: r.employee_id,
+        employee_number: r.employee_number,
+        name: `${r.last_name}, ${r.first_name}`,
+        tax_due: r.tax_due,
+        tax_withheld: r.tax_withheld,
+        tax_difference: r.tax_difference
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get year end error:', error);
+    res.status(500).json({ error: 'Failed to compute year end' });
+  }
+});
+
+// Download the alphalist. Refuses while a period of the year is open, and while
+// employees lack a valid TIN unless excludeMissing=true.
+router.get('/:year/alphalist', authenticateToken, requirePermission('tax.year_end'), async (req, res) => {
+  try {
+    const yearEnd = await loadYearEnd(req, res, { final: true });
+    if (!yearEnd) return;
+
+    const { year, records } = yearEnd;
+    const missing = records.filter(r => r.tin_error);
+
+    if (missing.length && req.query.excludeMissing !== 'true') {
+      return res.status(422).json({
+        error: 'Employees without a valid TIN. Fix them or pass excludeMissing=true to leave them out.',
+        missing: missing.map(r => ({ employee_id: r.employee_id, employee_number: r.employee_number, reason: r.tin_error }))
+      });
+    }
+
+    const listed = records.filter(r => !r.tin_error);
+    const csv = renderAlphalist(listed, year);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'GENERATE_ALPHALIST',
+      null,
+      null,
+      null,
+      { year, employeeCount: listed.length, excluded: missing.map(r => r.employee_number) },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.setHeader('Content-Disposition', `attachment; filename="alphalist-${year}.csv"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Generate alphalist error:', error);
+    res.status(500).json({ error: 'Failed to generate alphalist' });
+  }
+});
+
+// Download every employee's 2316 for a year as a ZIP
+router.get('/:year/2316', authenticateToken, requirePermission('tax.year_end'), async (req, res) => {
+  try {
+    const yearEnd = await loadYearEnd(req, res, { final: true });
+    if (!yearEnd) return;
+
+    const { year, records } = yearEnd;
+    const zip = new JSZip();
+
+    records.forEach(record => {
+      zip.file(getCertificateFileName(record, year), render2316(record, year));
+    });
+
+    const missing = records.filter(r => r.tin_error);
+    if (missing.length) {
+      zip.file('missing-tin.txt', missing.map(r => `${r.employee_number}: ${r.tin_error}`).join('\n'));
+    }
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'GENERATE_2316',
+      null,
+      null,
+      null,
+      { year, generated: records.length, missingTin: missing.length },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.setHeader('Content-Disposition', `attachment; filename="bir-2316-${year}.zip"`);
+    res.setHeader('Content-Type', 'application/zip');
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('Generate 2316 certificates error:', error);
+    res.status(500).json({ error: 'Failed to generate 2316 certificates' });
+  }
+});
+
+// Download one employee's 2316; employees may download their own
+router.get('/:year/2316/:employeeId', authenticateToken, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    if (String(req.user.employee_id) !== String(employeeId) && !hasPermission(req.user, 'tax.year_end')) {
+      return res.status(403).json({ error: "Permission 'tax.year_end' required" });
+    }
+
+    const yearEnd = await loadYearEnd(req, res, { final: true, employeeId });
+    if (!yearEnd) return;
+
+    const { year, records } = yearEnd;
+
+    if (!records.length) {
+      return res.status(404).json({ error: 'No compensation for this employee in the year' });
+    }
+
+    const record = records[0];
+    const pdf = render2316(record, year);
+
+    // Log the action
+    await Database.logAction(
+      req.user.id,
+      'GENERATE_2316',
+      'employees',
+      record.employee_id,
+      null,
+      { year, tax_due: record.tax_due, tax_withheld: record.tax_withheld },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.setHeader('Content-Disposition', `attachment; filename="${getCertificateFileName(record, year)}"`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Generate 2316 error:', error);
+    res.status(500).json({ error: 'Failed to generate 2316' });
+  }
+});
+
+// Helper functions
+// Compute the year's records, or send a 400/404/409 and return null. final refuses
+// while a payroll period of the year can still change.
+async function loadYearEnd(req, res, { final = false, employeeId = null } = {}) {
+  if (!/^\d{4}$/.test(req.params.year)) {
+    res.status(400).json({ error: 'Invalid year' });
+    return null;
+  }
+
+  const year = parseInt(req.params.year);
+  const periods = await Database.getPayrollPeriodsForYear(year);
+
+  if (!periods.length) {
+    res.status(404).json({ error: 'No payroll periods end in this year' });
+    return null;
+  }
+
+  const openPeriods = periods.filter(isPeriodEditable);
+  if (final && openPeriods.length) {
+    res.status(409).json({
+      error: 'Lock every payroll period of the year before generating year-end forms',
+      openPeriods: openPeriods.map(p => p.period_name)
+    });
+    return null;
+  }
+
+  const totals = await Database.getAnnualCompensation(year, employeeId);
+  return { year, periods, records: totals.map(total => computeYearEnd(total, year)) };
+}
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const { round2 } = require('./rounding');
+
+// Hours per work day paid at the regular rate; the rest is overtime (as in Database.clockOut)
+const REGULAR_HOURS_PER_DAY = 8;
+const MAX_SHIFT_HOURS = 24;
+
+const pad = n => String(n).padStart(2, '0');
+
+function toDateTime(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+function addDays(dateTime, days) {
+  const result = new Date(dateTime);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function formatDateTime(dateTime) {
+  if (!dateTime) return null;
+  return `${dateTime.getFullYear()}-${pad(dateTime.getMonth() + 1)}-${pad(dateTime.getDate())} ` +
+    `${pad(dateTime.getHours())}:${pad(dateTime.getMinutes())}:${pad(dateTime.getSeconds())}`;
+}
+
+// A punch time at or before the previous punch belongs to the next day
+function after(previous, date, time) {
+  const dateTime = toDateTime(date, time);
+  return dateTime <= previous ? addDays(dateTime, 1) : dateTime;
+}
+
+// Turn the punch times of one attendance row into datetimes. The work date is the
+// clock-in date; clock-out and break times roll past midnight for night shifts
+// unless clockOutDate says otherwise.
+function resolveShift({ date, clockIn, clockOut, clockOutDate, breakStart, breakEnd }) {
+  const shift = { clockIn: toDateTime(date, clockIn), clockOut: null, breakStart: null, breakEnd: null };
+
+  if (clockOut) {
+    shift.clockOut = clockOutDate ? toDateTime(clockOutDate, clockOut) : after(shift.clockIn, date, clockOut);
+
+    if (shift.clockOut <= shift.clockIn) {
+      throw new Error('Clock out must be after clock in');
+    }
+    if ((shift.clockOut - shift.clockIn) / 3600000 > MAX_SHIFT_HOURS) {
+      throw new Error(`Shift is longer than ${MAX_SHIFT_HOURS} hours`);
+    }
+  }
+
+  if (breakStart || breakEnd) {
+    if (!breakStart || !breakEnd) {
+      throw new Error('Both break start and break end are required');
+    }
+
+    shift.breakStart = after(shift.clockIn, date, breakStart);
+    shift.breakEnd = after(shift.breakStart, formatDateTime(shift.breakStart).slice(0, 10), breakEnd);
+
+    if (shift.clockOut && shift.breakEnd > shift.clockOut) {
+      throw new Error('Break must fall between clock in and clock out');
+    }
+  }
+
+  return shift;
+}
+
+// Hours for a completed shift, with the same arithmetic as Database.clockOut: whole
+// minutes worked less whole break minutes. regularHoursUsed is what earlier entries
+// on the same work date already used of the regular day.
+function computeShiftHours(shift, { breakMinutes = 0, regularHoursUsed = 0 } = {}) {
+  const wholeMinutes = (from, to) => Math.floor((to - from) / 60000);
+
+  const breakTaken = shift.breakStart ? wholeMinutes(shift.breakStart, shift.breakEnd) : breakMinutes;
+  const minutesWorked = wholeMinutes(shift.clockIn, shift.clockOut) - breakTaken;
+
+  if (minutesWorked < 0) {
+    throw new Error('Break is longer than the shift');
+  }
+
+  const totalHours = round2(minutesWorked / 60);
+  const regularHours = round2(Math.min(totalHours, Math.max(REGULAR_HOURS_PER_DAY - regularHoursUsed, 0)));
+
+  return {
+    total_hours: totalHours,
+    regular_hours: regularHours,
+    overtime_hours: round2(totalHours - regularHours)
+  };
+}
+
+module.exports = {
+  REGULAR_HOURS_PER_DAY,
+  formatDateTime,
+  resolveShift,
+  computeShiftHours
+};
@@ -0,0 +1,190 @@
+const { round2 } = require('./rounding');
+
+// Company details that go into the header record of every bank file
+const COMPANY_NAME = process.env.COMPANY_NAME || 'PayrollPro';
+const COMPANY_BANK_CODE = process.env.COMPANY_BANK_CODE || '';
+const COMPANY_BANK_ACCOUNT = process.env.COMPANY_BANK_ACCOUNT || '';
+
+// "2025-01-15" -> "20250115". Kept as text: new Date() would read it as UTC midnight,
+// which is the day before in timezones behind UTC.
+function compactDate(date) {
+  return String(date).replace(/-/g, '');
+}
+
+// Uppercase ASCII for bank systems: "Niño, José" -> "NINO, JOSE"
+function toBankText(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7E]/g, '').toUpperCase();
+}
+
+const toCentavos = amount => Math.round(parseFloat(amount) * 100);
+
+// Bank credit file layouts, keyed by the bankFormat clients ask for. Every file is a
+// header record, one detail record per credited employee and a trailer record.
+//
+// layout 'fixed' pads each field to its width (numeric fields zero-filled on the left,
+// text space-filled on the right) and refuses values that do not fit; 'delimited'
+// joins fields with the delimiter. A field's value gets the batch (header and trailer)
+// or the credit (detail) built by buildBankFile. account is the pattern employee bank
+// accounts must match once spaces and dashes are removed.
+//
+// Bank-specific layouts are added as more entries here.
+const BANK_FORMATS = {
+  fixed_width: {
+    label: 'Fixed-width, 80 columns, amounts in centavos',
+    layout: 'fixed',
+    extension: 'txt',
+    contentType: 'text/plain',
+    account: { pattern: /^\d{10,12}$/, description: '10 to 12 digits' },
+    header: [
+      { width: 1, value: () => 'H' },
+      { width: 10, value: batch => batch.companyCode },
+      { width: 12, numeric: true, value: batch => batch.companyAccount },
+      { width: 8, value: batch => compactDate(batch.creditDate) },
+      { width: 12, value: batch => batch.batchNumber },
+      { width: 37, value: batch => batch.companyName }
+    ],
+    detail: [
+      { width: 1, value: () => 'D' },
+      { width: 12, numeric: true, value: credit => credit.account },
+      { width: 15, numeric: true, value: credit => credit.centavos },
+      { width: 40, value: credit => credit.name },
+      { width: 12, value: credit => credit.employeeNumber }
+    ],
+    trailer: [
+      { width: 1, value: () => 'T' },
+      { width: 6, numeric: true, value: batch => batch.entryCount },
+      { width: 15, numeric: true, value: batch => batch.totalCentavos },
+      { width: 15, numeric: true, value: batch => batch.accountHashTotal },
+      { width: 43, value: () => '' }
+    ]
+  },
+  delimited: {
+    label: 'Comma-delimited with header and trailer rows',
+    layout: 'delimited',
+    delimiter: ',',
+    extension: 'csv',
+    contentType: 'text/csv',
+    account: { pattern: /^\d{10,16}$/, description: '10 to 16 digits' },
+    header: [
+      { value: () => 'H' },
+      { value: batch => batch.companyCode },
+      { value: batch => batch.companyAccount },
+      { value: batch => compactDate(batch.creditDate) },
+      { value: batch => batch.batchNumber },
+      { value: batch => batch.companyName }
+    ],
+    detail: [
+      { value: () => 'D' },
+      { value: credit => credit.account },
+      { value: credit => credit.amount.toFixed(2) },
+      { value: credit => credit.name },
+      { value: credit => credit.employeeNumber }
+    ],
+    trailer: [
+      { value: () => 'T' },
+      { value: batch => batch.entryCount },
+      { value: batch => batch.totalAmount.toFixed(2) },
+      { value: batch => batch.accountHashTotal }
+    ]
+  }
+};
+
+function normalizeAccount(account) {
+  return String(account || '').replace(/[\s-]/g, '');
+}
+
+// Why an entry cannot be credited with this format, or null when it can
+function getCreditProblem(entry, format) {
+  if (!(parseFloat(entry.net_pay) > 0)) {
+    return `Net pay is ${round2(parseFloat(entry.net_pay) || 0).toFixed(2)}`;
+  }
+
+  const account = normalizeAccount(entry.bank_account);
+  if (!account) {
+    return 'No bank account';
+  }
+  if (!format.account.pattern.test(account)) {
+    return `Bank account "${entry.bank_account}" is not ${format.account.description}`;
+  }
+
+  return null;
+}
+
+// Sum of the account numbers, last 15 digits, which banks use to check the file was not altered
+function getAccountHashTotal(accounts) {
+  const total = accounts.reduce((sum, account) => sum + BigInt(account), 0n);
+  return (total % 10n ** 15n).toString();
+}
+
+function renderRecord(fields, context, format) {
+  const values = fields.map(field => {
+    const value = field.value(context);
+    return format.layout === 'fixed' ? fitField(value, field) : quoteField(value, format.delimiter);
+  });
+  return values.join(format.layout === 'fixed' ? '' : format.delimiter);
+}
+
+function fitField(value, field) {
+  if (field.numeric) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    if (digits.length > field.width) {
+      throw new Error(`${value} does not fit in ${field.width} digits`);
+    }
+    return digits.padStart(field.width, '0');
+  }
+  return toBankText(value).slice(0, field.width).padEnd(field.width, ' ');
+}
+
+function quoteField(value, delimiter) {
+  const text = toBankText(value ?? '');
+  return text.includes(delimiter) || text.includes('"') ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The credit file for a batch, creditDate as YYYY-MM-DD. entries are payroll entries joined with employee_number,
+// first_name, last_name and bank_account, all of which must pass getCreditProblem.
+// Returns { content, entryCount, totalAmount, accountHashTotal }.
+function buildBankFile(formatName, entries, { batchNumber, creditDate }) {
+  const format = BANK_FORMATS[formatName];
+
+  const credits = entries.map(entry => {
+    const amount = round2(parseFloat(entry.net_pay));
+    return {
+      account: normalizeAccount(entry.bank_account),
+      amount,
+      centavos: toCentavos(amount),
+      name: `${entry.last_name}, ${entry.first_name}`,
+      employeeNumber: entry.employee_number
+    };
+  });
+
+  const batch = {
+    companyName: COMPANY_NAME,
+    companyCode: COMPANY_BANK_CODE,
+    companyAccount: COMPANY_BANK_ACCOUNT,
+    creditDate,
+    batchNumber,
+    entryCount: credits.length,
+    totalAmount: round2(credits.reduce((sum, credit) => sum + credit.amount, 0)),
+    totalCentavos: credits.reduce((sum, credit) => sum + credit.centavos, 0),
+    accountHashTotal: getAccountHashTotal(credits.map(credit => credit.account))
+  };
+
+  const records = [
+    renderRecord(format.header, batch, format),
+    ...credits.map(credit => renderRecord(format.detail, credit, format)),
+    renderRecord(format.trailer, batch, format)
+  ];
+
+  return {
+    content: records.join('\r\n') + '\r\n',
+    entryCount: batch.entryCount,
+    totalAmount: batch.totalAmount,
+    accountHashTotal: batch.accountHashTotal
+  };
+}
+
+module.exports = {
+  BANK_FORMATS,
+  getCreditProblem,
+  buildBankFile
+};
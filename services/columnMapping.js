@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { IMPORT_FIELDS } = require('./importRows');
+
+// Header spellings seen in files from biometric, bank and HRIS exports
+const FIELD_ALIASES = {
+  payroll: {
+    'employee_number': ['emp_no', 'employee_id', 'emp_id', 'employee_number', 'id_no'],
+    'payroll_period_id': ['payroll_period_id', 'period_id'],
+    'period_start': ['period_start', 'period_from', 'pay_period_start', 'cutoff_start'],
+    'period_end': ['period_end', 'period_to', 'pay_period_end', 'cutoff_end'],
+    'hours_worked': ['hours_worked', 'hours', 'total_hours'],
+    'overtime_hours': ['overtime_hours', 'ot_hours'],
+    'allowances': ['allowance', 'allowances'],
+    'bonuses': ['bonus', 'bonuses', 'incentives'],
+    'gross_pay': ['gross', 'gross_pay', 'gross_amount', 'gross_income'],
+    'net_pay': ['net', 'net_pay', 'net_amount', 'take_home'],
+    'basic_pay': ['basic', 'basic_pay', 'basic_salary'],
+    'overtime_pay': ['overtime', 'ot_pay', 'overtime_amount'],
+    'sss_deduction': ['sss', 'sss_contribution', 'sss_ee'],
+    'philhealth_deduction': ['philhealth', 'phic', 'philhealth_contribution'],
+    'pagibig_deduction': ['pagibig', 'hdmf', 'pag_ibig'],
+    'withholding_tax': ['tax', 'wtax', 'withholding', 'income_tax'],
+    'other_deductions': ['other_deductions', 'others', 'loans']
+  },
+  attendance: {
+    'employee_number': ['emp_no', 'employee_id', 'emp_id', 'employee_number', 'ac_no', 'user_id'],
+    'date': ['date', 'work_date', 'attendance_date'],
+    'clock_in': ['time_in', 'clock_in', 'start_time', 'in'],
+    'clock_out': ['time_out', 'clock_out', 'end_time', 'out'],
+    'clock_out_date': ['clock_out_date', 'out_date', 'date_out'],
+    'break_start': ['break_start', 'break_out', 'lunch_out'],
+    'break_end': ['break_end', 'break_in', 'lunch_in'],
+    'break_minutes': ['break_minutes', 'break_mins', 'break'],
+    'total_hours': ['total_hours', 'hours', 'hours_worked'],
+    'overtime_hours': ['overtime_hours', 'ot_hours', 'ot']
+  },
+  employees: {
+    'employee_number': ['emp_no', 'employee_id', 'emp_id', 'employee_number'],
+    'first_name': ['first_name', 'fname', 'given_name'],
+    'last_name': ['last_name', 'lname', 'surname', 'family_name'],
+    'department': ['department', 'dept', 'division'],
+    'position': ['position', 'job_title', 'title', 'role'],
+    'email': ['email', 'email_address'],
+    'phone': ['phone', 'mobile', 'contact_number'],
+    'hire_date': ['hire_date', 'date_hired', 'start_date'],
+    'birth_date': ['birth_date', 'birthday', 'date_of_birth', 'dob'],
+    'hourly_rate': ['hourly_rate', 'rate_per_hour'],
+    'salary': ['salary', 'monthly_salary', 'basic_salary'],
+    'sss_number': ['sss_number', 'sss_no', 'sss'],
+    'philhealth_number': ['philhealth_number', 'philhealth_no', 'phic_no'],
+    'pagibig_number': ['pagibig_number', 'pagibig_no', 'hdmf_no'],
+    'tin_number': ['tin_number', 'tin', 'tin_no'],
+    'bank_account': ['bank_account', 'account_number', 'account_no', 'atm_no']
+  }
+};
+
+// Lowercase and collapse punctuation and spacing: "Emp. No." -> "emp_no"
+function normalizeHeader(header) {
+  return String(header ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/ /g, '_');
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// 0..1 score of how well a normalized header matches a normalized alias
+function matchScore(header, alias) {
+  if (header === alias) return 1;
+
+  const compactHeader = header.replace(/_/g, '');
+  const compactAlias = alias.replace(/_/g, '');
+  if (compactHeader === compactAlias) return 0.95;
+
+  // Whole-word containment, e.g. "employee_number_id" and "employee_number"
+  if (alias.length > 2 && (`_${header}_`.includes(`_${alias}_`) || `_${alias}_`.includes(`_${header}_`))) {
+    return 0.85;
+  }
+
+  const longest = Math.max(compactHeader.length, compactAlias.length);
+  const similarity = longest ? 1 - levenshtein(compactHeader, compactAlias) / longest : 0;
+  return similarity >= 0.8 ? similarity * 0.9 : 0;
+}
+
+// Suggest a field for each header; each header and field is used at most once, best scores first
+function suggestColumnMapping(headers, importType) {
+  const typeAliases = FIELD_ALIASES[importType] || {};
+  const candidates = [];
+
+  headers.forEach(header => {
+    if (!header) return;
+    const normalized = normalizeHeader(header);
+
+    (IMPORT_FIELDS[importType] || []).forEach(field => {
+      const aliases = [field, ...(typeAliases[field] || [])];
+      const score = Math.max(...aliases.map(alias => matchScore(normalized, normalizeHeader(alias))));
+      if (score >= 0.7) {
+        candidates.push({ header, field, score });
+      }
+    });
+  });
+
+  const mapping = {};
+  const usedFields = new Set();
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ header, field }) => {
+      if (mapping[header] || usedFields.has(field)) return;
+      mapping[header] = field;
+      usedFields.add(field);
+    });
+
+  return mapping;
+}
+
+// Identifies a file layout regardless of column order, case and punctuation
+function getHeaderSignature(headers) {
+  const normalized = headers.filter(Boolean).map(normalizeHeader).sort();
+  return crypto.createHash('sha256').update(normalized.join('|')).digest('hex');
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Profile whose saved layout matches these headers: an identical signature first,
+// otherwise the closest header overlap of at least 80%
+function detectMappingProfile(headers, profiles) {
+  const signature = getHeaderSignature(headers);
+  const exact = profiles.find(profile => profile.header_signature === signature);
+  if (exact) return { profile: exact, matchedBy: 'signature', score: 1 };
+
+  const normalized = new Set(headers.filter(Boolean).map(normalizeHeader));
+  let best = null;
+
+  profiles.forEach(profile => {
+    const profileHeaders = new Set(parseJson(profile.headers) || []);
+    const shared = [...profileHeaders].filter(header => normalized.has(header)).length;
+    const union = new Set([...profileHeaders, ...normalized]).size;
+    const score = union ? shared / union : 0;
+
+    if (score >= 0.8 && (!best || score > best.score)) {
+      best = { profile, matchedBy: 'headers', score: Math.round(score * 100) / 100 };
+    }
+  });
+
+  return best;
+}
+
+// Profiles key mappings and transforms by normalized header; resolve them to this file's headers
+function resolveProfileMapping(profile, headers) {
+  const savedMapping = parseJson(profile.column_mapping) || {};
+  const savedTransforms = parseJson(profile.column_transforms) || {};
+  const columnMapping = {};
+  const columnTransforms = {};
+
+  headers.forEach(header => {
+    if (!header) return;
+    const key = normalizeHeader(header);
+    if (savedMapping[key]) columnMapping[header] = savedMapping[key];
+    if (savedTransforms[key]) columnTransforms[header] = savedTransforms[key];
+  });
+
+  return { columnMapping, columnTransforms };
+}
+
+// Store a header -> field mapping keyed by normalized header
+function normalizeMappingKeys(mapping = {}) {
+  const normalized = {};
+  Object.entries(mapping).forEach(([header, value]) => {
+    normalized[normalizeHeader(header)] = value;
+  });
+  return normalized;
+}
+
+// Returns a list of problems with a mapping and its transforms for an import type
+function validateColumnMapping(importType, columnMapping, columnTransforms = {}) {
+  const errors = [];
+  const fields = IMPORT_FIELDS[importType] || [];
+
+  if (!columnMapping || typeof columnMapping !== 'object' || Array.isArray(columnMapping)) {
+    return ['columnMapping must be an object of header to field'];
+  }
+
+  Object.entries(columnMapping).forEach(([header, field]) => {
+    if (field && !fields.includes(field)) {
+      errors.push(`Column "${header}" maps to unknown ${importType} field "${field}"`);
+    }
+  });
+
+  Object.entries(columnTransforms || {}).forEach(([header, transform]) => {
+    if (!transform || typeof transform !== 'object') {
+      errors.push(`Transform for "${header}" must be an object`);
+      return;
+    }
+    if (transform.dateFormat !== undefined && !/(YYYY|YY)/.test(transform.dateFormat)) {
+      errors.push(`Transform for "${header}": dateFormat must contain YYYY or YY`);
+    }
+    if (transform.split !== undefined) {
+      const { separator, into } = transform.split || {};
+      if (!separator || !Array.isArray(into) || !into.length) {
+        errors.push(`Transform for "${header}": split needs a separator and an "into" list of fields`);
+      } else {
+        into.filter(field => !fields.includes(field)).forEach(field => {
+          errors.push(`Transform for "${header}": unknown ${importType} field "${field}"`);
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Parse a cell with a format such as "MM/DD/YYYY" or "DD-MMM-YY" into YYYY-MM-DD.
+// Excel date serials and Date cells are accepted whatever the format.
+function parseDateWithFormat(value, format) {
+  const pad = n => String(n).padStart(2, '0');
+
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    if (parsed) return `${parsed.y}-${pad(parsed.m)}-${pad(parsed.d)}`;
+  }
+
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  const tokens = [];
+  const pattern = format.replace(/YYYY|YY|MMM|MM|M|DD|D|[.*+?^${}()|[\]\\]/g, token => {
+    switch (token) {
+      case 'YYYY': tokens.push('year'); return '(\\d{4})';
+      case 'YY': tokens.push('shortYear'); return '(\\d{2})';
+      case 'MMM': tokens.push('monthName'); return '([A-Za-z]{3})[A-Za-z]*';
+      case 'MM': case 'M': tokens.push('month'); return '(\\d{1,2})';
+      case 'DD': case 'D': tokens.push('day'); return '(\\d{1,2})';
+      default: return `\\${token}`;
+    }
+  });
+
+  const match = String(value).trim().match(new RegExp(`^${pattern}$`));
+  if (!match) {
+    throw new Error(`Date "${value}" does not match format ${format}`);
+  }
+
+  const parts = {};
+  tokens.forEach((token, index) => { parts[token] = match[index + 1]; });
+
+  const year = parts.year ? parseInt(parts.year) : 2000 + parseInt(parts.shortYear);
+  const month = parts.monthName ? MONTHS.indexOf(parts.monthName.toLowerCase()) + 1 : parseInt(parts.month);
+  const day = parseInt(parts.day || 1);
+  const date = new Date(year, month - 1, day);
+
+  if (month < 1 || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new Error(`Date "${value}" is not a valid date`);
+  }
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Apply a column transform to one cell; split returns { field: value } for several fields
+function applyColumnTransform(value, transform) {
+  const isEmpty = value === '' || value === null || value === undefined;
+
+  if (isEmpty && transform.default !== undefined) {
+    value = transform.default;
+  }
+
+  if (transform.split) {
+    const { separator, into } = transform.split;
+    const parts = isEmpty ? [] : String(value).split(separator).map(part => part.trim());
+    const fields = {};
+    into.forEach((field, index) => {
+      // The last field keeps anything beyond the expected number of parts
+      fields[field] = index === into.length - 1 ? parts.slice(index).join(`${separator} `) : parts[index] || '';
+    });
+    return fields;
+  }
+
+  if (transform.dateFormat && !(value === '' || value === null || value === undefined)) {
+    return parseDateWithFormat(value, transform.dateFormat);
+  }
+
+  return value;
+}
+
+module.exports = {
+  normalizeHeader,
+  suggestColumnMapping,
+  getHeaderSignature,
+  detectMappingProfile,
+  resolveProfileMapping,
+  normalizeMappingKeys,
+  validateColumnMapping,
+  applyColumnTransform
+};
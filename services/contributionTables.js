@@ -0,0 +1,229 @@
+const Database = require('../models/Database');
+const { round2 } = require('./rounding');
+
+const AGENCIES = ['sss', 'philhealth', 'pagibig'];
+
+// SSS 2025: ₱500 salary-credit steps from ₱5,000 to ₱35,000, EC of ₱10/₱30 paid by the employer
+function buildSssBrackets() {
+  const brackets = [{ range_from: 0, range_to: 5249.99, salary_credit: 5000, employer_additional: 10 }];
+
+  for (let credit = 5500; credit < 35000; credit += 500) {
+    brackets.push({
+      range_from: credit - 250,
+      range_to: credit + 249.99,
+      salary_credit: credit,
+      employer_additional: credit < 15000 ? 10 : 30
+    });
+  }
+
+  brackets.push({ range_from: 34750, range_to: null, salary_credit: 35000, employer_additional: 30 });
+  return brackets;
+}
+
+// Used when no schedule for the agency has been loaded into contribution_schedules
+const DEFAULT_SCHEDULES = {
+  sss: {
+    agency: 'sss',
+    name: 'SSS 2025 (built-in)',
+    effective_from: '2025-01-01',
+    employee_rate: 0.05,
+    employer_rate: 0.10,
+    floor: null,
+    ceiling: null,
+    employee_cap: null,
+    employer_cap: null,
+    brackets: buildSssBrackets()
+  },
+  philhealth: {
+    agency: 'philhealth',
+    name: 'PhilHealth 2025 (built-in)',
+    effective_from: '2025-01-01',
+    employee_rate: 0.025,
+    employer_rate: 0.025,
+    floor: 10000,
+    ceiling: 100000,
+    employee_cap: null,
+    employer_cap: null,
+    brackets: []
+  },
+  pagibig: {
+    agency: 'pagibig',
+    name: 'Pag-IBIG 2024 (built-in)',
+    effective_from: '2024-02-01',
+    employee_rate: 0.02,
+    employer_rate: 0.02,
+    floor: null,
+    ceiling: 10000,
+    employee_cap: null,
+    employer_cap: null,
+    brackets: [
+      { range_from: 0, range_to: 1500, employee_rate: 0.01 },
+      { range_from: 1500.01, range_to: null }
+    ]
+  }
+};
+
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? null : parseFloat(value);
+}
+
+// Normalize a contribution_schedules row (DECIMAL strings, JSON text) into numbers and arrays
+function normalizeSchedule(row) {
+  const brackets = typeof row.brackets === 'string' ? JSON.parse(row.brackets) : (row.brackets || []);
+
+  return {
+    ...row,
+    employee_rate: toNumber(row.employee_rate) || 0,
+    employer_rate: toNumber(row.employer_rate) || 0,
+    floor: toNumber(row.floor),
+    ceiling: toNumber(row.ceiling),
+    employee_cap: toNumber(row.employee_cap),
+    employer_cap: toNumber(row.employer_cap),
+    brackets
+  };
+}
+
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (!AGENCIES.includes(schedule.agency)) {
+    errors.push(`agency must be one of: ${AGENCIES.join(', ')}`);
+  }
+
+  if (!schedule.name) {
+    errors.push('name is required');
+  }
+
+  if (!schedule.effective_from || isNaN(Date.parse(schedule.effective_from))) {
+    errors.push('effective_from must be a valid date');
+  }
+
+  ['employee_rate', 'employer_rate'].forEach(field => {
+    const value = schedule[field];
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      errors.push(`${field} must be a number between 0 and 1`);
+    }
+  });
+
+  ['floor', 'ceiling', 'employee_cap', 'employer_cap'].forEach(field => {
+    const value = schedule[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+      errors.push(`${field} must be a non-negative number or null`);
+    }
+  });
+
+  if (schedule.floor != null && schedule.ceiling != null && schedule.floor > schedule.ceiling) {
+    errors.push('floor must not exceed ceiling');
+  }
+
+  if (schedule.brackets !== undefined && !Array.isArray(schedule.brackets)) {
+    errors.push('brackets must be an array');
+    return errors;
+  }
+
+  (schedule.brackets || []).forEach((bracket, index) => {
+    const label = `brackets[${index}]`;
+
+    if (typeof bracket.range_from !== 'number') {
+      errors.push(`${label}.range_from must be a number`);
+      return;
+    }
+
+    if (bracket.range_to !== null && bracket.range_to !== undefined &&
+        (typeof bracket.range_to !== 'number' || bracket.range_to < bracket.range_from)) {
+      errors.push(`${label}.range_to must be null or not less than range_from`);
+    }
+
+    ['salary_credit', 'employee_rate', 'employer_rate', 'employee_share', 'employer_share', 'employer_additional']
+      .forEach(field => {
+        if (bracket[field] !== undefined && (typeof bracket[field] !== 'number' || bracket[field] < 0)) {
+          errors.push(`${label}.${field} must be a non-negative number`);
+        }
+      });
+
+    const previous = schedule.brackets[index - 1];
+    if (previous && (previous.range_to === null || previous.range_to === undefined || bracket.range_from <= previous.range_to)) {
+      errors.push(`${label} overlaps the previous bracket; brackets must be sorted and non-overlapping`);
+    }
+  });
+
+  return errors;
+}
+
+function findBracket(schedule, compensation) {
+  return schedule.brackets.find(bracket =>
+    compensation >= bracket.range_from &&
+    (bracket.range_to === null || bracket.range_to === undefined || compensation <= bracket.range_to)
+  );
+}
+
+// Monthly employee and employer contribution for a monthly compensation
+function calculateContribution(schedule, monthlyCompensation) {
+  const compensation = Math.max(round2(monthlyCompensation), 0);
+  const bracket = findBracket(schedule, compensation) || {};
+
+  let base = bracket.salary_credit !== undefined ? bracket.salary_credit : compensation;
+  if (schedule.floor !== null && schedule.floor !== undefined) base = Math.max(base, schedule.floor);
+  if (schedule.ceiling !== null && schedule.ceiling !== undefined) base = Math.min(base, schedule.ceiling);
+
+  let employeeShare = bracket.employee_share !== undefined
+    ? bracket.employee_share
+    : base * (bracket.employee_rate !== undefined ? bracket.employee_rate : schedule.employee_rate);
+  let employerShare = bracket.employer_share !== undefined
+    ? bracket.employer_share
+    : base * (bracket.employer_rate !== undefined ? bracket.employer_rate : schedule.employer_rate);
+
+  if (schedule.employee_cap !== null && schedule.employee_cap !== undefined) {
+    employeeShare = Math.min(employeeShare, schedule.employee_cap);
+  }
+  if (schedule.employer_cap !== null && schedule.employer_cap !== undefined) {
+    employerShare = Math.min(employerShare, schedule.employer_cap);
+  }
+
+  employerShare += bracket.employer_additional || 0;
+
+  return {
+    base: round2(base),
+    employee_share: round2(employeeShare),
+    employer_share: round2(employerShare)
+  };
+}
+
+// Effective schedule per agency on a date, from the database or the built-in defaults
+async function getSchedulesForDate(date) {
+  const schedules = {};
+
+  for (const agency of AGENCIES) {
+    const row = await Database.getEffectiveContributionSchedule(agency, date);
+    schedules[agency] = row ? normalizeSchedule(row) : DEFAULT_SCHEDULES[agency];
+  }
+
+  return schedules;
+}
+
+// Per-period shares: contributions are monthly, so the period's basic pay is scaled to a
+// monthly figure and the monthly contribution back down by the same factor
+function calculatePeriodContributions(schedules, basicPay, periodsPerMonth) {
+  const monthlyCompensation = parseFloat(basicPay || 0) * periodsPerMonth;
+  const result = {};
+
+  AGENCIES.forEach(agency => {
+    const monthly = calculateContribution(schedules[agency], monthlyCompensation);
+    result[agency] = {
+      employee_share: round2(monthly.employee_share / periodsPerMonth),
+      employer_share: round2(monthly.employer_share / periodsPerMonth)
+    };
+  });
+
+  return result;
+}
+
+module.exports = {
+  AGENCIES,
+  DEFAULT_SCHEDULES,
+  normalizeSchedule,
+  validateSchedule,
+  calculateContribution,
+  getSchedulesForDate,
+  calculatePeriodContributions
+};
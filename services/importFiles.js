@@ -0,0 +1,83 @@
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { applyColumnTransform } = require('./columnMapping');
+
+function readWorkbook(filePath, fileType) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error('Uploaded file is no longer available');
+  }
+
+  if (fileType === 'csv') {
+    const csvData = fs.readFileSync(filePath, 'utf8');
+    return XLSX.read(csvData, { type: 'string' });
+  }
+  return XLSX.readFile(filePath);
+}
+
+function readSheet(workbook, sheetName) {
+  const worksheet = workbook.Sheets[sheetName];
+  const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+  return { name: sheetName, headers: jsonData[0] || [], rows: jsonData.slice(1) };
+}
+
+// Every sheet of an uploaded file with its header row and data rows
+function readWorkbookSheets(filePath, fileType) {
+  const workbook = readWorkbook(filePath, fileType);
+  return workbook.SheetNames.map(sheetName => readSheet(workbook, sheetName));
+}
+
+// Header and data rows of the sheet an import log points at (first sheet by default)
+function readImportRows(log) {
+  const workbook = readWorkbook(log.stored_path, log.file_type);
+  const sheetName = log.sheet_name || workbook.SheetNames[0];
+
+  if (!workbook.Sheets[sheetName]) {
+    throw new Error(`Sheet "${sheetName}" not found in ${log.file_name}`);
+  }
+
+  return readSheet(workbook, sheetName);
+}
+
+// Map one row to import fields, applying any per-column transforms (see columnMapping)
+function mapRow(headers, row, columnMapping, columnTransforms = {}) {
+  const rowData = {};
+  headers.forEach((header, index) => {
+    const mappedField = columnMapping[header];
+    const transform = columnTransforms[header];
+
+    if (transform) {
+      const value = applyColumnTransform(row[index], transform);
+      if (transform.split) {
+        Object.assign(rowData, value);
+      } else if (mappedField) {
+        rowData[mappedField] = value ?? '';
+      }
+      return;
+    }
+
+    if (mappedField) {
+      rowData[mappedField] = row[index] ?? '';
+    }
+  });
+  return rowData;
+}
+
+// Every data row of an upload mapped to import fields, with its spreadsheet row number;
+// rows whose transforms fail carry the error instead of data
+function readMappedRows(log, columnMapping, columnTransforms = {}) {
+  const { headers, rows } = readImportRows(log);
+  return rows.map((row, index) => {
+    try {
+      return { rowNumber: index + 2, rowData: mapRow(headers, row, columnMapping, columnTransforms) };
+    } catch (error) {
+      return { rowNumber: index + 2, rowData: {}, error: error.message };
+    }
+  });
+}
+
+module.exports = {
+  readWorkbookSheets,
+  readImportRows,
+  mapRow,
+  readMappedRows
+};
@@ -0,0 +1,400 @@
+const fs = require('fs');
+const Database = require('../models/Database');
+const { processRowData } = require('./importRows');
+const { readImportRows, mapRow } = require('./importFiles');
+const { coerceRow, getFieldColumns } = require('./importSchemas');
+
+// Files of uploads that were not imported within this many hours are deleted
+const UPLOAD_TTL_HOURS = parseInt(process.env.UPLOAD_TTL_HOURS) || 24;
+
+// Jobs running in this process, keyed by import_logs id
+const runningJobs = new Map();
+
+function parseJson(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Batches load employees before the attendance and payroll that reference them
+const IMPORT_TYPE_ORDER = ['employees', 'attendance', 'payroll'];
+
+function sortByImportOrder(items) {
+  return [...items].sort((a, b) => IMPORT_TYPE_ORDER.indexOf(a.importType) - IMPORT_TYPE_ORDER.indexOf(b.importType));
+}
+
+// sheet: { importType, sheetName, columnMapping, columnTransforms, mappingProfileId }.
+// mode 'partial' commits row by row and skips failures; 'atomic' runs the whole
+// sheet in one transaction and rolls back on the first failed row.
+// options are handed to the row processors (see importRows).
+async function queueImportJob(importLogId, sheet, { mode = 'partial', dryRun = false, options = {} } = {}) {
+  await Database.clearImportRowErrors(importLogId);
+
+  await Database.query(
+    `UPDATE import_logs
+     SET status = 'queued', import_type = ?, sheet_name = ?, column_mapping = ?, column_transforms = ?,
+         mapping_profile_id = ?, import_mode = ?, dry_run = ?, import_options = ?, processed_rows = 0, successful_rows = 0, failed_rows = 0, cancel_requested = false,
+         started_at = NULL, completed_at = NULL, error_details = NULL
+     WHERE id = ?`,
+    [
+      sheet.importType,
+      sheet.sheetName || null,
+      JSON.stringify(sheet.columnMapping),
+      JSON.stringify(sheet.columnTransforms || {}),
+      sheet.mappingProfileId || null,
+      mode,
+      dryRun,
+      JSON.stringify(options),
+      importLogId
+    ]
+  );
+}
+
+// Queue one sheet of an upload and start it in the background
+async function startImportJob(importLogId, sheet, settings) {
+  await queueImportJob(importLogId, sheet, settings);
+  runInBackground([importLogId]);
+}
+
+// Queue several sheets of one upload as a batch and run them in dependency order.
+// The upload's own import log takes the first sheet; the rest get their own logs.
+async function startImportBatch(log, sheets, settings) {
+  const ordered = sortByImportOrder(sheets);
+  const importLogIds = [];
+
+  for (let index = 0; index < ordered.length; index++) {
+    const importLogId = index === 0 ? log.id : await Database.createImportLog({
+      file_name: log.file_name,
+      stored_path: log.stored_path,
+      file_hash: log.file_hash,
+      file_type: log.file_type,
+      import_type: ordered[index].importType,
+      sheet_name: ordered[index].sheetName,
+      total_rows: ordered[index].totalRows,
+      imported_by: log.imported_by
+    });
+
+    await Database.query(
+      'UPDATE import_logs SET batch_id = ?, batch_order = ? WHERE id = ?',
+      [log.id, index + 1, importLogId]
+    );
+    await queueImportJob(importLogId, ordered[index], settings);
+    importLogIds.push(importLogId);
+  }
+
+  runInBackground(importLogIds);
+  return importLogIds;
+}
+
+// Run import logs one after another. They share one cancel flag, and when one does
+// not finish the ones after it are skipped since they may depend on its rows.
+function runInBackground(importLogIds) {
+  const ids = importLogIds.filter(id => !runningJobs.has(id));
+  if (!ids.length) return;
+
+  const job = { cancelRequested: false };
+  ids.forEach(id => runningJobs.set(id, job));
+
+  (async () => {
+    for (let index = 0; index < ids.length; index++) {
+      const importLogId = ids[index];
+      let status;
+
+      try {
+        status = await runImportJob(importLogId, job);
+      } catch (error) {
+        console.error(`Import job ${importLogId} failed:`, error);
+        status = 'failed';
+        await Database.query(
+          `UPDATE import_logs SET status = 'failed', completed_at = NOW(), error_details = ? WHERE id = ?`,
+          [JSON.stringify([{ error: error.message }]), importLogId]
+        ).catch(() => {});
+      } finally {
+        runningJobs.delete(importLogId);
+      }
+
+      if (status !== 'completed' && status !== 'validated') {
+        const skipped = ids.slice(index + 1);
+        for (const skippedId of skipped) {
+          runningJobs.delete(skippedId);
+          await Database.query(
+            `UPDATE import_logs SET status = 'cancelled', completed_at = NOW(), error_details = ? WHERE id = ?`,
+            [JSON.stringify([{ error: `Skipped because import ${importLogId} ended ${status}` }]), skippedId]
+          ).catch(() => {});
+        }
+        break;
+      }
+    }
+  })();
+}
+
+async function runImportJob(importLogId, job) {
+  const log = await Database.getImportLog(importLogId);
+  const columnMapping = parseJson(log.column_mapping) || {};
+  const columnTransforms = parseJson(log.column_transforms) || {};
+  const fieldColumns = getFieldColumns(columnMapping, columnTransforms);
+  const options = parseJson(log.import_options) || {};
+  const { headers, rows } = readImportRows(log);
+  const dryRun = !!log.dry_run;
+  const atomic = log.import_mode === 'atomic' && !dryRun;
+
+  const progress = {
+    processed: log.processed_rows || 0,
+    successful: log.successful_rows || 0,
+    failed: log.failed_rows || 0
+  };
+
+  // A transaction interrupted by a restart was rolled back, so start it over;
+  // partial imports pick up after the last row whose progress was saved
+  if ((atomic || dryRun) && progress.processed > 0) {
+    await Database.clearImportRowErrors(importLogId);
+    progress.processed = progress.successful = progress.failed = 0;
+    await Database.updateImportProgress(importLogId, progress);
+  }
+
+  await Database.query(
+    `UPDATE import_logs SET status = 'running', total_rows = ?, started_at = COALESCE(started_at, NOW()) WHERE id = ?`,
+    [rows.length, importLogId]
+  );
+
+  // Journal rows reference import_logs, and inserting one inside a transaction locks
+  // this log's row until commit, which would block the progress updates below (they
+  // run on other connections). So an atomic import writes its journal just before
+  // commit, and a dry run, whose writes are discarded, keeps none.
+  const rowOptions = {
+    ...options,
+    importLogId: dryRun ? null : importLogId,
+    pendingChanges: atomic ? [] : null
+  };
+
+  // Returns 'finished' or 'cancelled'; in atomic mode throws to roll back instead
+  const processRows = async (connection) => {
+    for (let i = progress.processed; i < rows.length; i++) {
+      if (job.cancelRequested) {
+        if (atomic) throw Object.assign(new Error('Import cancelled'), { outcome: 'cancelled' });
+        return 'cancelled';
+      }
+
+      let rowData = rows[i];
+
+      try {
+        rowData = mapRow(headers, rows[i], columnMapping, columnTransforms);
+        const values = coerceRow(rowData, log.import_type, fieldColumns);
+        await processRowData(values, log.import_type, log.imported_by, connection, rowOptions);
+        progress.successful++;
+      } catch (error) {
+        progress.failed++;
+        // +2 because we start from 1 and skip header
+        if (error.cellErrors) {
+          for (const cellError of error.cellErrors) {
+            await Database.addImportRowError(importLogId, i + 2, cellError.message, rowData, cellError.column);
+          }
+        } else {
+          await Database.addImportRowError(importLogId, i + 2, error.message, rowData);
+        }
+
+        if (atomic) {
+          progress.processed++;
+          await Database.updateImportProgress(importLogId, progress);
+          throw Object.assign(new Error(`Row ${i + 2}: ${error.message}`), { outcome: 'rolled_back' });
+        }
+      }
+
+      progress.processed++;
+      await Database.updateImportProgress(importLogId, progress);
+    }
+    return 'finished';
+  };
+
+  let outcome;
+  if (dryRun) {
+    // Run every row against the database, then discard the writes
+    outcome = await Database.transaction(processRows, { commit: false });
+  } else if (atomic) {
+    try {
+      outcome = await Database.transaction(async (connection) => {
+        const result = await processRows(connection);
+        for (const change of rowOptions.pendingChanges) {
+          await Database.recordImportChange(change, connection);
+        }
+        return result;
+      });
+    } catch (error) {
+      if (!error.outcome) throw error;
+      outcome = error.outcome;
+    }
+  } else {
+    outcome = await processRows(null);
+  }
+
+  const errors = await Database.getImportRowErrors(importLogId, 50);
+  const errorDetails = JSON.stringify(errors.map(e => ({ row: e.row_num, column: e.column_name, error: e.error_message })));
+
+  if (outcome === 'cancelled' || outcome === 'rolled_back') {
+    // Nothing from an atomic import survives a rollback
+    await Database.query(
+      `UPDATE import_logs
+       SET status = ?, completed_at = NOW(), error_details = ?, successful_rows = IF(import_mode = 'atomic', 0, successful_rows)
+       WHERE id = ?`,
+      [outcome, errorDetails, importLogId]
+    );
+    return outcome;
+  }
+
+  const status = dryRun ? 'validated' : 'completed';
+  await Database.query(
+    `UPDATE import_logs
+     SET status = ?, completed_at = NOW(), error_details = ?
+     WHERE id = ?`,
+    [status, errorDetails, importLogId]
+  );
+
+  await Database.logAction(
+    log.imported_by,
+    dryRun ? 'VALIDATE_IMPORT' : 'IMPORT_DATA',
+    'import_logs',
+    importLogId,
+    null,
+    {
+      importType: log.import_type,
+      mode: log.import_mode,
+      dryRun,
+      options,
+      successCount: progress.successful,
+      failCount: progress.failed
+    },
+    null,
+    null
+  );
+
+  // A validated file is kept so it can be imported for real, and a batch's
+  // file until its last sheet is done
+  if (!dryRun && !(await Database.hasPendingImportsForFile(log.stored_path, importLogId))) {
+    removeStoredFile(log);
+  }
+
+  return status;
+}
+
+function removeStoredFile(log) {
+  if (log.stored_path && fs.existsSync(log.stored_path)) {
+    fs.unlinkSync(log.stored_path);
+  }
+}
+
+// Delete files left by uploads that never completed; unprocessed ones are marked expired
+async function expireAbandonedUploads() {
+  const logs = await Database.getAbandonedUploads(UPLOAD_TTL_HOURS);
+
+  for (const log of logs) {
+    removeStoredFile(log);
+    // Failed, cancelled and rolled back imports keep their status
+    await Database.query(
+      `UPDATE import_logs
+       SET stored_path = NULL,
+           status = IF(status IN ('uploaded', 'validated'), 'expired', status),
+           completed_at = COALESCE(completed_at, NOW())
+       WHERE id = ?`,
+      [log.id]
+    );
+  }
+
+  return logs.length;
+}
+
+// Ask a job (and the rest of its batch) to stop after the row it is on;
+// returns false when nothing was queued or running
+async function cancelImportJob(log) {
+  const importLogIds = log.batch_id
+    ? (await Database.getImportBatch(log.batch_id)).map(l => l.id)
+    : [log.id];
+
+  const result = await Database.query(
+    `UPDATE import_logs SET cancel_requested = true
+     WHERE id IN (${importLogIds.map(() => '?').join(', ')}) AND status IN ('queued', 'running')`,
+    importLogIds
+  );
+
+  for (const importLogId of importLogIds) {
+    const job = runningJobs.get(importLogId);
+    if (job) {
+      job.cancelRequested = true;
+    }
+  }
+
+  // Nothing in this process is running them, e.g. queued before a restart
+  if (!importLogIds.some(id => runningJobs.has(id)) && result.affectedRows > 0) {
+    await Database.query(
+      `UPDATE import_logs SET status = 'cancelled', completed_at = NOW()
+       WHERE id IN (${importLogIds.map(() => '?').join(', ')}) AND status IN ('queued', 'running')`,
+      importLogIds
+    );
+  }
+
+  return result.affectedRows > 0;
+}
+
+// Restart jobs interrupted by a server restart, keeping batches in order
+async function resumeImportJobs() {
+  const logs = await Database.getImportLogsByStatus(['queued', 'running']);
+  const groups = new Map();
+
+  for (const log of logs) {
+    if (log.cancel_requested) {
+      await Database.query(
+        `UPDATE import_logs SET status = 'cancelled', completed_at = NOW() WHERE id = ?`,
+        [log.id]
+      );
+      continue;
+    }
+
+    const key = log.batch_id ? `batch-${log.batch_id}` : `log-${log.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(log);
+  }
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => (a.batch_order || 0) - (b.batch_order || 0));
+    console.log(`🔁 Resuming import ${group[0].id} at row ${(group[0].processed_rows || 0) + 2}`);
+    runInBackground(group.map(log => log.id));
+  }
+
+  return logs.length;
+}
+
+function getImportProgress(log) {
+  const processed = log.processed_rows || 0;
+  const remaining = Math.max((log.total_rows || 0) - processed, 0);
+  let etaSeconds = null;
+
+  if (log.status === 'running' && log.started_at && processed > 0) {
+    const elapsedSeconds = (Date.now() - new Date(log.started_at).getTime()) / 1000;
+    etaSeconds = Math.round((elapsedSeconds / processed) * remaining);
+  }
+
+  return {
+    importLogId: log.id,
+    importType: log.import_type,
+    sheetName: log.sheet_name,
+    status: log.status,
+    mode: log.import_mode,
+    dryRun: !!log.dry_run,
+    totalRows: log.total_rows,
+    processedRows: processed,
+    successfulRows: log.successful_rows,
+    failedRows: log.failed_rows,
+    percent: log.total_rows ? Math.round((processed / log.total_rows) * 100) : 0,
+    etaSeconds,
+    startedAt: log.started_at,
+    completedAt: log.completed_at
+  };
+}
+
+module.exports = {
+  IMPORT_TYPE_ORDER,
+  startImportJob,
+  startImportBatch,
+  cancelImportJob,
+  resumeImportJobs,
+  expireAbandonedUploads,
+  getImportProgress
+};
@@ -0,0 +1,175 @@
+const Database = require('../models/Database');
+const { isPeriodEditable } = require('./payrollPeriods');
+const { diffEmployeeRow } = require('./importRows');
+
+// Tables the row processors journal writes to (see importRows)
+const IMPORTED_TABLES = ['employees', 'time_entries', 'payroll_entries'];
+
+// Dates in journaled rows come back from JSON as ISO strings
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+function parseJson(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toColumnValues(values) {
+  const result = {};
+  Object.entries(values).forEach(([column, value]) => {
+    result[column] = typeof value === 'string' && ISO_DATETIME.test(value) ? new Date(value) : value;
+  });
+  return result;
+}
+
+// Imports whose writes stay in the database: completed ones, and partial imports
+// cancelled part way through
+function canRollBack(log) {
+  if (log.dry_run) return false;
+  return log.status === 'completed' ||
+    (log.status === 'cancelled' && log.import_mode === 'partial' && log.successful_rows > 0);
+}
+
+// The import logs a rollback reverts: every sheet of the log's batch that left
+// writes behind, last imported first
+async function getRollbackLogs(log) {
+  const logs = log.batch_id ? await Database.getImportBatch(log.batch_id) : [log];
+  return logs
+    .filter(canRollBack)
+    .reverse();
+}
+
+// Why the logs cannot be rolled back: payroll periods they wrote to that are no
+// longer editable, and records changed or removed since the import.
+// Returns { lockedPeriods: [{ id, period_name, status }], conflicts: [{ table, recordId, reason }] }
+async function findRollbackBlockers(logs) {
+  const logIds = logs.map(log => log.id);
+  const periodIds = new Set();
+  const dates = new Set();
+  // Only the latest write to a record has to match what is in the database now
+  const latestChanges = new Map();
+
+  for (const log of logs) {
+    const changes = await Database.getImportChanges(log.id);
+
+    for (const change of changes) {
+      const values = parseJson(change.action === 'delete' ? change.old_values : change.new_values) || {};
+      if (change.table_name === 'payroll_entries' && values.payroll_period_id) periodIds.add(values.payroll_period_id);
+      if (change.table_name === 'time_entries' && values.date) dates.add(String(values.date).slice(0, 10));
+
+      const key = `${change.table_name}:${change.record_id}`;
+      if (!latestChanges.has(key)) latestChanges.set(key, change);
+    }
+  }
+
+  const periods = new Map();
+  for (const periodId of periodIds) {
+    const period = await Database.getPayrollPeriodById(periodId);
+    if (period) periods.set(period.id, period);
+  }
+  for (const date of dates) {
+    const period = await Database.getPayrollPeriodForDate(date);
+    if (period) periods.set(period.id, period);
+  }
+
+  const lockedPeriods = [...periods.values()]
+    .filter(period => !isPeriodEditable(period))
+    .map(period => ({ id: period.id, period_name: period.period_name, status: period.status }));
+
+  const conflicts = [];
+  for (const change of latestChanges.values()) {
+    const reason = await findConflict(change, logIds);
+    if (reason) {
+      conflicts.push({ table: change.table_name, recordId: change.record_id, reason });
+    }
+  }
+
+  return { lockedPeriods, conflicts };
+}
+
+// Writes by the logs being rolled back are expected; anything else is a conflict
+async function findConflict(change, logIds) {
+  const rows = await Database.query(`SELECT * FROM ${change.table_name} WHERE id = ?`, [change.record_id]);
+  const current = rows[0];
+
+  if (change.action === 'insert') {
+    if (!current) return 'Record was deleted after the import';
+    if (!logIds.includes(current.import_log_id)) return 'Record was changed by a later import';
+    if (current.disbursement_batch_id) return 'Payroll entry was disbursed';
+    return null;
+  }
+
+  if (change.action === 'update') {
+    if (!current) return 'Record was deleted after the import';
+    const edited = Object.keys(diffEmployeeRow(current, parseJson(change.new_values) || {}, { clearEmptyCells: true }));
+    return edited.length ? `Fields changed after the import: ${edited.join(', ')}` : null;
+  }
+
+  // A replaced payroll entry comes back unless the employee has a new one in the period
+  const old = parseJson(change.old_values);
+  const replacement = await Database.getPayrollEntry(old.payroll_period_id, old.employee_id);
+  if (current || (replacement && !logIds.includes(replacement.import_log_id))) {
+    return 'Employee has another payroll entry in the period';
+  }
+  return null;
+}
+
+// Undo every journaled write of the logs, newest first. Run inside a transaction so
+// a failure leaves everything as it was. Returns counts of deleted and restored records.
+async function revertImports(logs, userId, connection) {
+  const counts = { deleted: 0, restored: 0 };
+
+  for (const log of logs) {
+    const changes = await Database.getImportChanges(log.id, connection);
+
+    for (const change of changes) {
+      if (!IMPORTED_TABLES.includes(change.table_name)) {
+        throw new Error(`Cannot roll back changes to ${change.table_name}`);
+      }
+      await revertChange(change, connection);
+      counts[change.action === 'insert' ? 'deleted' : 'restored']++;
+    }
+
+    await Database.query(
+      `UPDATE import_logs SET status = 'reverted', reverted_at = NOW(), reverted_by = ? WHERE id = ?`,
+      [userId, log.id],
+      connection
+    );
+  }
+
+  return counts;
+}
+
+async function revertChange(change, connection) {
+  const table = change.table_name;
+
+  if (change.action === 'insert') {
+    await Database.query(`DELETE FROM ${table} WHERE id = ?`, [change.record_id], connection);
+    return;
+  }
+
+  const values = toColumnValues(parseJson(change.old_values) || {});
+  const columns = Object.keys(values);
+
+  if (change.action === 'update') {
+    await Database.query(
+      `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => values[column]), change.record_id],
+      connection
+    );
+    return;
+  }
+
+  // delete: put the row back as it was, id included
+  await Database.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => values[column]),
+    connection
+  );
+}
+
+module.exports = {
+  canRollBack,
+  getRollbackLogs,
+  findRollbackBlockers,
+  revertImports
+};
@@ -0,0 +1,410 @@
+const Database = require('../models/Database');
+const { assertPeriodEditable } = require('./payrollPeriods');
+const { formatDateTime, resolveShift, computeShiftHours } = require('./attendanceHours');
+const { round2 } = require('./rounding');
+
+// Employee columns an import can set; the first four are required to create
+const EMPLOYEE_IMPORT_FIELDS = [
+  'employee_number', 'first_name', 'last_name', 'department',
+  'email', 'phone', 'position', 'hire_date', 'birth_date', 'address',
+  'emergency_contact_name', 'emergency_contact_phone', 'hourly_rate', 'salary', 'pay_type',
+  'sss_number', 'philhealth_number', 'pagibig_number', 'tin_number', 'bank_account'
+];
+
+const REQUIRED_EMPLOYEE_FIELDS = EMPLOYEE_IMPORT_FIELDS.slice(0, 4);
+
+// Fields a column can be mapped to, per import type
+const IMPORT_FIELDS = {
+  employees: EMPLOYEE_IMPORT_FIELDS,
+  attendance: [
+    'employee_number', 'date', 'clock_in', 'clock_out', 'clock_out_date', 'break_start', 'break_end',
+    'break_minutes', 'total_hours', 'regular_hours', 'overtime_hours'
+  ],
+  payroll: [
+    'employee_number', 'payroll_period_id', 'period_start', 'period_end', 'hours_worked', 'overtime_hours',
+    'gross_pay', 'basic_pay', 'overtime_pay', 'allowances', 'bonuses', 'sss_deduction', 'philhealth_deduction',
+    'pagibig_deduction', 'withholding_tax', 'other_deductions', 'net_pay'
+  ]
+};
+const NUMERIC_EMPLOYEE_FIELDS = ['hourly_rate', 'salary'];
+const DATE_EMPLOYEE_FIELDS = ['hire_date', 'birth_date'];
+
+const DEDUCTION_FIELDS = ['sss_deduction', 'philhealth_deduction', 'pagibig_deduction', 'withholding_tax', 'other_deductions'];
+
+// What a payroll import does with a row for an employee who already has an entry in the period
+const PAYROLL_DUPLICATE_POLICIES = ['reject', 'replace'];
+
+// Row processors for each import type. Each validates one mapped row and writes it,
+// throwing an Error whose message is reported against the row. Pass a transaction
+// connection to keep the write inside an atomic or dry-run import.
+//
+// options.employeeMode: 'create' (default) rejects existing employees, 'merge' updates them
+// options.clearEmptyCells: in merge mode, empty cells clear the field instead of being skipped
+// options.payrollPeriodId: period payroll rows go into; otherwise taken from the row's period columns
+// options.duplicatePolicy: 'reject' (default) or 'replace' an employee's existing entry in the period
+// options.importLogId: tags written records and journals each write so the import can be rolled back
+async function processRowData(rowData, importType, userId, connection = null, options = {}) {
+  switch (importType) {
+    case 'employees':
+      await processEmployeeRow(rowData, userId, connection, options);
+      break;
+    case 'attendance':
+      await processAttendanceRow(rowData, userId, connection, options);
+      break;
+    case 'payroll':
+      await processPayrollRow(rowData, userId, connection, options);
+      break;
+    default:
+      throw new Error('Invalid import type');
+  }
+}
+
+async function processEmployeeRow(rowData, userId, connection, options) {
+  if (!rowData.employee_number) {
+    throw new Error('Missing required field: employee_number');
+  }
+
+  // Check if employee already exists
+  const existing = await Database.getEmployeeByNumber(rowData.employee_number, connection);
+
+  if (existing) {
+    if (options.employeeMode !== 'merge') {
+      throw new Error(`Employee ${rowData.employee_number} already exists`);
+    }
+    await mergeEmployeeRow(existing, rowData, userId, connection, options);
+    return;
+  }
+
+  for (const field of REQUIRED_EMPLOYEE_FIELDS) {
+    if (!rowData[field]) {
+      throw new Error(`Missing required field: ${field}`);
+    }
+  }
+
+  const employeeId = await Database.createEmployee({
+    employee_number: rowData.employee_number,
+    first_name: rowData.first_name,
+    last_name: rowData.last_name,
+    email: rowData.email || null,
+    phone: rowData.phone || null,
+    department: rowData.department,
+    position: rowData.position || 'Employee',
+    hire_date: rowData.hire_date || new Date().toISOString().split('T')[0],
+    birth_date: rowData.birth_date || null,
+    address: rowData.address || null,
+    emergency_contact_name: rowData.emergency_contact_name || null,
+    emergency_contact_phone: rowData.emergency_contact_phone || null,
+    hourly_rate: rowData.hourly_rate || null,
+    salary: rowData.salary || null,
+    pay_type: rowData.pay_type || 'hourly',
+    is_active: true,
+    sss_number: rowData.sss_number || null,
+    philhealth_number: rowData.philhealth_number || null,
+    pagibig_number: rowData.pagibig_number || null,
+    tin_number: rowData.tin_number || null,
+    bank_account: rowData.bank_account || null,
+    import_log_id: options.importLogId
+  }, connection);
+
+  await recordImportChange(options, 'employees', employeeId, 'insert', null, null, connection);
+}
+
+async function mergeEmployeeRow(employee, rowData, userId, connection, options) {
+  const changes = diffEmployeeRow(employee, rowData, options);
+  const fields = Object.keys(changes);
+
+  if (!fields.length) return;
+
+  const oldValues = {};
+  const newValues = {};
+  fields.forEach(field => {
+    oldValues[field] = changes[field].old;
+    newValues[field] = changes[field].new;
+  });
+
+  await Database.updateEmployee(employee.id, { ...newValues, import_log_id: options.importLogId || null }, connection);
+
+  await recordImportChange(
+    options,
+    'employees',
+    employee.id,
+    'update',
+    { ...oldValues, import_log_id: employee.import_log_id || null },
+    newValues,
+    connection
+  );
+
+  await Database.logAction(
+    userId,
+    'IMPORT_UPDATE_EMPLOYEE',
+    'employees',
+    employee.id,
+    oldValues,
+    newValues,
+    null,
+    null,
+    connection
+  );
+}
+
+// Fields a merge would change, as { field: { old, new } }
+function diffEmployeeRow(employee, rowData, options = {}) {
+  const changes = {};
+
+  EMPLOYEE_IMPORT_FIELDS.forEach(field => {
+    if (field === 'employee_number' || !(field in rowData)) return;
+
+    const value = rowData[field];
+    const isEmpty = value === '' || value === null || value === undefined;
+
+    // Required fields are never cleared
+    if (isEmpty && (!options.clearEmptyCells || REQUIRED_EMPLOYEE_FIELDS.includes(field))) return;
+
+    const oldValue = normalizeEmployeeValue(field, employee[field]);
+    const newValue = isEmpty ? null : normalizeEmployeeValue(field, value);
+
+    if (oldValue !== newValue) {
+      changes[field] = { old: oldValue, new: newValue };
+    }
+  });
+
+  return changes;
+}
+
+// Bring database and spreadsheet values to one form so unchanged cells compare equal
+function normalizeEmployeeValue(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (NUMERIC_EMPLOYEE_FIELDS.includes(field)) {
+    const number = parseFloat(value);
+    return isNaN(number) ? String(value) : number;
+  }
+
+  if (DATE_EMPLOYEE_FIELDS.includes(field)) {
+    if (value instanceof Date) {
+      const pad = n => String(n).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+  }
+
+  return String(value).trim();
+}
+
+// One row is one clock-in/clock-out pair; several rows per employee and day are
+// allowed as long as they do not overlap. Hours are computed from the punches when
+// there is a clock-out, and only taken from the file when there is not.
+async function processAttendanceRow(rowData, userId, connection, options) {
+  const requiredFields = ['employee_number', 'date', 'clock_in'];
+  
+  for (const field of requiredFields) {
+    if (!rowData[field]) {
+      throw new Error(`Missing required field: ${field}`);
+    }
+  }
+
+  // Get employee ID
+  const employee = await Database.query(
+    'SELECT id FROM employees WHERE employee_number = ?',
+    [rowData.employee_number],
+    connection
+  );
+
+  if (!employee.length) {
+    throw new Error(`Employee ${rowData.employee_number} not found`);
+  }
+
+  const employeeId = employee[0].id;
+
+  // Refuse attendance that falls inside a locked or closed period
+  const period = await Database.getPayrollPeriodForDate(rowData.date, connection);
+  if (period) {
+    assertPeriodEditable(period);
+  }
+
+  const shift = resolveShift({
+    date: rowData.date,
+    clockIn: rowData.clock_in,
+    clockOut: rowData.clock_out || null,
+    clockOutDate: rowData.clock_out_date || null,
+    breakStart: rowData.break_start || null,
+    breakEnd: rowData.break_end || null
+  });
+
+  const clockIn = formatDateTime(shift.clockIn);
+  const clockOut = formatDateTime(shift.clockOut);
+
+  const duplicate = await Database.findTimeEntryByClockIn(employeeId, clockIn, connection);
+  if (duplicate) {
+    throw new Error(`Duplicate punch: employee ${rowData.employee_number} already clocked in at ${clockIn}`);
+  }
+
+  const overlapping = await Database.getOverlappingTimeEntries(employeeId, clockIn, clockOut || clockIn, connection);
+  if (overlapping.length) {
+    throw new Error(`Overlaps an existing time entry for employee ${rowData.employee_number} on ${rowData.date}`);
+  }
+
+  let hours = {
+    total_hours: rowData.total_hours || null,
+    regular_hours: rowData.regular_hours || null,
+    overtime_hours: rowData.overtime_hours || null
+  };
+
+  if (shift.clockOut) {
+    hours = computeShiftHours(shift, {
+      breakMinutes: rowData.break_minutes || 0,
+      regularHoursUsed: await Database.getRegularHoursForDate(employeeId, rowData.date, connection)
+    });
+  }
+
+  const entry = {
+    employee_id: employeeId,
+    clock_in: clockIn,
+    clock_out: clockOut,
+    break_start: formatDateTime(shift.breakStart),
+    break_end: formatDateTime(shift.breakEnd),
+    date: rowData.date,
+    ...hours,
+    import_log_id: options.importLogId
+  };
+  const entryId = await Database.createImportedTimeEntry(entry, connection);
+
+  await recordImportChange(options, 'time_entries', entryId, 'insert', null, entry, connection);
+}
+
+async function processPayrollRow(rowData, userId, connection, options) {
+  const requiredFields = ['employee_number', 'gross_pay', 'net_pay'];
+  
+  for (const field of requiredFields) {
+    if (rowData[field] === '' || rowData[field] === null || rowData[field] === undefined) {
+      throw new Error(`Missing required field: ${field}`);
+    }
+  }
+
+  // Get employee ID
+  const employee = await Database.query(
+    'SELECT id FROM employees WHERE employee_number = ?',
+    [rowData.employee_number],
+    connection
+  );
+
+  if (!employee.length) {
+    throw new Error(`Employee ${rowData.employee_number} not found`);
+  }
+
+  const employeeId = employee[0].id;
+  const period = await resolvePayrollPeriod(rowData, options, connection);
+  assertPeriodEditable(period);
+
+  const existing = await Database.getPayrollEntry(period.id, employeeId, connection);
+  if (existing) {
+    if (options.duplicatePolicy !== 'replace') {
+      throw new Error(`Employee ${rowData.employee_number} already has a payroll entry in ${period.period_name}`);
+    }
+    if (existing.disbursement_batch_id) {
+      throw new Error(`Employee ${rowData.employee_number}'s payroll entry in ${period.period_name} was already disbursed and cannot be replaced`);
+    }
+    await Database.deletePayrollEntry(period.id, employeeId, connection);
+    await recordImportChange(options, 'payroll_entries', existing.id, 'delete', existing, null, connection);
+  }
+
+  const amount = field => round2(parseFloat(rowData[field] || 0));
+  const deductions = {};
+  DEDUCTION_FIELDS.forEach(field => {
+    deductions[field] = amount(field);
+  });
+
+  const entry = {
+    employee_id: employeeId,
+    payroll_period_id: period.id,
+    hours_worked: amount('hours_worked'),
+    overtime_hours: amount('overtime_hours'),
+    gross_pay: amount('gross_pay'),
+    basic_pay: rowData.basic_pay === '' || rowData.basic_pay === undefined ? amount('gross_pay') : amount('basic_pay'),
+    overtime_pay: amount('overtime_pay'),
+    allowances: amount('allowances'),
+    bonuses: amount('bonuses'),
+    ...deductions,
+    total_deductions: round2(DEDUCTION_FIELDS.reduce((sum, field) => sum + deductions[field], 0)),
+    net_pay: amount('net_pay'),
+    import_log_id: options.importLogId
+  };
+
+  const entryId = await Database.createPayrollEntry(entry, connection);
+  await recordImportChange(options, 'payroll_entries', entryId, 'insert', null, entry, connection);
+
+  if (existing) {
+    await Database.logAction(
+      userId,
+      'IMPORT_REPLACE_PAYROLL_ENTRY',
+      'payroll_entries',
+      entryId,
+      existing,
+      entry,
+      null,
+      null,
+      connection
+    );
+  }
+}
+
+// Journal one write of an import for rollback: inserts are deleted, updates get
+// oldValues back and deletes are re-inserted from oldValues. options.pendingChanges
+// collects the changes instead, for the caller to write at the end of its transaction.
+async function recordImportChange(options, tableName, recordId, action, oldValues, newValues, connection) {
+  if (!options.importLogId) return;
+
+  const change = {
+    import_log_id: options.importLogId,
+    table_name: tableName,
+    record_id: recordId,
+    action,
+    old_values: oldValues,
+    new_values: newValues
+  };
+
+  if (options.pendingChanges) {
+    options.pendingChanges.push(change);
+    return;
+  }
+
+  await Database.recordImportChange(change, connection);
+}
+
+// The import's chosen period, or the one named by the row's payroll_period_id or period dates
+async function resolvePayrollPeriod(rowData, options, connection) {
+  const periodId = options.payrollPeriodId || rowData.payroll_period_id;
+
+  if (periodId) {
+    const period = await Database.getPayrollPeriodById(periodId, connection);
+    if (!period) {
+      throw new Error(`Payroll period ${periodId} not found`);
+    }
+    return period;
+  }
+
+  if (rowData.period_start && rowData.period_end) {
+    const period = await Database.getPayrollPeriodByDates(rowData.period_start, rowData.period_end, connection);
+    if (!period) {
+      throw new Error(`No payroll period runs from ${rowData.period_start} to ${rowData.period_end}`);
+    }
+    return period;
+  }
+
+  if (rowData.period_start) {
+    const period = await Database.getPayrollPeriodForDate(rowData.period_start, connection);
+    if (!period) {
+      throw new Error(`No payroll period covers ${rowData.period_start}`);
+    }
+    return period;
+  }
+
+  throw new Error('No payroll period: choose one for the import or map period_start/period_end columns');
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  PAYROLL_DUPLICATE_POLICIES,
+  processRowData,
+  diffEmployeeRow
+};
@@ -0,0 +1,256 @@
+const XLSX = require('xlsx');
+
+// Field types and formats per import type. Only non-empty cells are checked here;
+// whether a field is required is up to the row processor (merge imports allow gaps).
+const IMPORT_SCHEMAS = {
+  employees: {
+    employee_number: { type: 'string' },
+    first_name: { type: 'string', maxLength: 100 },
+    last_name: { type: 'string', maxLength: 100 },
+    department: { type: 'string', maxLength: 100 },
+    position: { type: 'string', maxLength: 100 },
+    email: { type: 'email' },
+    phone: { type: 'string', maxLength: 20 },
+    hire_date: { type: 'date' },
+    birth_date: { type: 'date' },
+    address: { type: 'string' },
+    emergency_contact_name: { type: 'string', maxLength: 100 },
+    emergency_contact_phone: { type: 'string', maxLength: 20 },
+    hourly_rate: { type: 'number', min: 0 },
+    salary: { type: 'number', min: 0 },
+    pay_type: { type: 'enum', values: ['hourly', 'salary'] },
+    sss_number: { type: 'governmentId', format: 'sss' },
+    philhealth_number: { type: 'governmentId', format: 'philhealth' },
+    pagibig_number: { type: 'governmentId', format: 'pagibig' },
+    tin_number: { type: 'governmentId', format: 'tin' },
+    bank_account: { type: 'string', maxLength: 30 }
+  },
+  attendance: {
+    employee_number: { type: 'string' },
+    date: { type: 'date' },
+    clock_in: { type: 'time' },
+    clock_out: { type: 'time' },
+    clock_out_date: { type: 'date' },
+    break_start: { type: 'time' },
+    break_end: { type: 'time' },
+    break_minutes: { type: 'number', min: 0, max: 720 },
+    total_hours: { type: 'number', min: 0, max: 24 },
+    regular_hours: { type: 'number', min: 0, max: 24 },
+    overtime_hours: { type: 'number', min: 0, max: 24 }
+  },
+  payroll: {
+    employee_number: { type: 'string' },
+    payroll_period_id: { type: 'number', min: 1 },
+    period_start: { type: 'date' },
+    period_end: { type: 'date' },
+    hours_worked: { type: 'number', min: 0 },
+    overtime_hours: { type: 'number', min: 0 },
+    gross_pay: { type: 'number', min: 0 },
+    basic_pay: { type: 'number', min: 0 },
+    overtime_pay: { type: 'number', min: 0 },
+    allowances: { type: 'number', min: 0 },
+    bonuses: { type: 'number', min: 0 },
+    sss_deduction: { type: 'number', min: 0 },
+    philhealth_deduction: { type: 'number', min: 0 },
+    pagibig_deduction: { type: 'number', min: 0 },
+    withholding_tax: { type: 'number', min: 0 },
+    other_deductions: { type: 'number', min: 0 },
+    net_pay: { type: 'number' }
+  }
+};
+
+// Digit counts and dash grouping of Philippine government ID numbers
+const GOVERNMENT_ID_FORMATS = {
+  sss: { name: 'SSS', groups: [[2, 7, 1]] },
+  philhealth: { name: 'PhilHealth', groups: [[2, 9, 1]] },
+  pagibig: { name: 'Pag-IBIG', groups: [[4, 4, 4]] },
+  tin: { name: 'TIN', groups: [[3, 3, 3], [3, 3, 3, 3], [3, 3, 3, 5]] }
+};
+
+const pad = n => String(n).padStart(2, '0');
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+
+  // "₱1,234.50", "PHP 1 234.50" and accounting negatives "(500.00)"
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text);
+  text = text.replace(/^\(|\)$/g, '').replace(/^(PHP|Php|php|₱|P|\$)\s*/, '').replace(/[,\s]/g, '');
+
+  if (!/^-?\d+(\.\d+)?$/.test(text)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+
+  const number = parseFloat(text);
+  return negative ? -number : number;
+}
+
+function toDate(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  // Excel stores dates as days since 1900
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    if (!parsed || !parsed.y) throw new Error(`${value} is not a valid date`);
+    return `${parsed.y}-${pad(parsed.m)}-${pad(parsed.d)}`;
+  }
+
+  const text = String(value).trim();
+  let year, month, day;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    // Slash dates are month first; use a dateFormat transform for day-first files
+    [, month, day, year] = match.map(Number);
+  } else if (!isNaN(Date.parse(text))) {
+    const parsed = new Date(text);
+    [year, month, day] = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+  } else {
+    throw new Error(`"${value}" is not a valid date`);
+  }
+
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new Error(`"${value}" is not a valid date`);
+  }
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function toTime(value) {
+  // Excel stores times as a fraction of a day (date-times carry a whole-day part)
+  if (typeof value === 'number') {
+    const seconds = Math.round((value % 1) * 86400) % 86400;
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+  }
+
+  if (value instanceof Date) {
+    return `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+
+  // "17:30", "0530", "5:30:15 PM", "5 pm"
+  const match = String(value).trim().match(/^(\d{1,2})(?::?(\d{2}))?(?::(\d{2}))?\s*([AaPp]\.?[Mm]\.?)?$/);
+  if (!match || (!match[2] && !match[4])) {
+    throw new Error(`"${value}" is not a valid time`);
+  }
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2] || 0);
+  const seconds = parseInt(match[3] || 0);
+  const meridiem = match[4] ? match[4][0].toLowerCase() : null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) throw new Error(`"${value}" is not a valid 12-hour time`);
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  }
+
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    throw new Error(`"${value}" is not a valid time`);
+  }
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+function toGovernmentId(value, format) {
+  const { name, groups } = GOVERNMENT_ID_FORMATS[format];
+  const digits = String(value).replace(/[\s-]/g, '');
+  const grouping = groups.find(g => g.reduce((sum, n) => sum + n, 0) === digits.length);
+
+  if (!/^\d+$/.test(digits) || !grouping) {
+    const lengths = groups.map(g => g.reduce((sum, n) => sum + n, 0)).join(' or ');
+    throw new Error(`"${value}" is not a valid ${name} number (expected ${lengths} digits)`);
+  }
+
+  let offset = 0;
+  return grouping.map(length => {
+    const part = digits.slice(offset, offset + length);
+    offset += length;
+    return part;
+  }).join('-');
+}
+
+function coerceValue(value, rule) {
+  switch (rule.type) {
+    case 'number': {
+      const number = toNumber(value);
+      if (rule.min !== undefined && number < rule.min) throw new Error(`${number} is below the minimum of ${rule.min}`);
+      if (rule.max !== undefined && number > rule.max) throw new Error(`${number} is above the maximum of ${rule.max}`);
+      return number;
+    }
+    case 'date':
+      return toDate(value);
+    case 'time':
+      return toTime(value);
+    case 'enum': {
+      const text = String(value).trim().toLowerCase();
+      if (!rule.values.includes(text)) throw new Error(`"${value}" must be one of: ${rule.values.join(', ')}`);
+      return text;
+    }
+    case 'email': {
+      const text = String(value).trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) throw new Error(`"${value}" is not a valid email address`);
+      return text;
+    }
+    case 'governmentId':
+      return toGovernmentId(value, rule.format);
+    default: {
+      const text = String(value).trim();
+      if (rule.maxLength && text.length > rule.maxLength) {
+        throw new Error(`"${text}" is longer than ${rule.maxLength} characters`);
+      }
+      return text;
+    }
+  }
+}
+
+// Normalize a mapped row against its import type's schema. Returns the coerced values,
+// or throws an Error carrying every failed cell as cellErrors: [{ field, column, value, message }].
+// fieldColumns names the spreadsheet column each field came from.
+function coerceRow(rowData, importType, fieldColumns = {}) {
+  const schema = IMPORT_SCHEMAS[importType] || {};
+  const values = { ...rowData };
+  const cellErrors = [];
+
+  Object.entries(rowData).forEach(([field, value]) => {
+    const rule = schema[field];
+    if (!rule || value === '' || value === null || value === undefined) return;
+
+    try {
+      values[field] = coerceValue(value, rule);
+    } catch (error) {
+      cellErrors.push({ field, column: fieldColumns[field] || field, value, message: error.message });
+    }
+  });
+
+  if (cellErrors.length) {
+    const message = cellErrors.map(e => `Column "${e.column}": ${e.message}`).join('; ');
+    throw Object.assign(new Error(message), { cellErrors });
+  }
+
+  return values;
+}
+
+// The source column of each field in a mapping, including fields filled by split transforms
+function getFieldColumns(columnMapping = {}, columnTransforms = {}) {
+  const fieldColumns = {};
+  Object.entries(columnMapping).forEach(([header, field]) => {
+    if (field) fieldColumns[field] = header;
+  });
+  Object.entries(columnTransforms).forEach(([header, transform]) => {
+    ((transform && transform.split && transform.split.into) || []).forEach(field => {
+      fieldColumns[field] = header;
+    });
+  });
+  return fieldColumns;
+}
+
+module.exports = {
+  IMPORT_SCHEMAS,
+  toGovernmentId,
+  coerceRow,
+  getFieldColumns
+};
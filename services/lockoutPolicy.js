@@ -0,0 +1,58 @@
+const Database = require('../models/Database');
+
+// system_settings keys and their defaults
+const DEFAULT_POLICY = {
+  lockout_max_attempts: 5,
+  lockout_duration_minutes: 15,
+  lockout_backoff_multiplier: 2,
+  lockout_max_duration_minutes: 1440
+};
+
+async function getLockoutPolicy() {
+  const settings = await Database.getSystemSettings();
+  const policy = { ...DEFAULT_POLICY };
+
+  settings.forEach(setting => {
+    if (setting.setting_key in policy && !isNaN(parseFloat(setting.setting_value))) {
+      policy[setting.setting_key] = parseFloat(setting.setting_value);
+    }
+  });
+
+  return policy;
+}
+
+function validateLockoutPolicy(policy) {
+  const errors = [];
+
+  Object.keys(policy).forEach(key => {
+    if (!(key in DEFAULT_POLICY)) {
+      errors.push(`Unknown setting: ${key}`);
+    } else if (typeof policy[key] !== 'number' || policy[key] <= 0) {
+      errors.push(`${key} must be a positive number`);
+    }
+  });
+
+  if (typeof policy.lockout_max_attempts === 'number' && !Number.isInteger(policy.lockout_max_attempts)) {
+    errors.push('lockout_max_attempts must be a whole number');
+  }
+
+  if (policy.lockout_backoff_multiplier !== undefined && policy.lockout_backoff_multiplier < 1) {
+    errors.push('lockout_backoff_multiplier must be at least 1');
+  }
+
+  return errors;
+}
+
+// Minutes to lock for the nth lockout since the last successful login
+function getLockoutDuration(policy, lockoutCount) {
+  const duration = policy.lockout_duration_minutes *
+    Math.pow(policy.lockout_backoff_multiplier, Math.max(lockoutCount - 1, 0));
+  return Math.round(Math.min(duration, policy.lockout_max_duration_minutes));
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getLockoutPolicy,
+  validateLockoutPolicy,
+  getLockoutDuration
+};
@@ -0,0 +1,88 @@
+const { calculatePeriodContributions } = require('./contributionTables');
+const { calculatePeriodTax, calculateTaxableCompensation } = require('./withholdingTax');
+const { round2 } = require('./rounding');
+
+const OVERTIME_MULTIPLIER = 1.5;
+const SALARY_PERIODS_PER_YEAR = 26; // Bi-weekly
+const PERIODS_PER_MONTH = SALARY_PERIODS_PER_YEAR / 12;
+
+function calculateGrossPay({ pay_type, salary, hourly_rate, hours_worked, overtime_hours }) {
+  if (pay_type === 'salary') {
+    const basicPay = round2(parseFloat(salary || 0) / SALARY_PERIODS_PER_YEAR);
+    return { basic_pay: basicPay, overtime_pay: 0, gross_pay: basicPay };
+  }
+
+  const rate = parseFloat(hourly_rate || 0);
+  const basicPay = round2(parseFloat(hours_worked || 0) * rate);
+  const overtimePay = round2(parseFloat(overtime_hours || 0) * rate * OVERTIME_MULTIPLIER);
+
+  return {
+    basic_pay: basicPay,
+    overtime_pay: overtimePay,
+    gross_pay: round2(basicPay + overtimePay)
+  };
+}
+
+function calculateDeductions(pay, schedules, taxContext) {
+  const contributions = calculatePeriodContributions(schedules, pay.basic_pay, PERIODS_PER_MONTH);
+  const sss = contributions.sss.employee_share;
+  const philhealth = contributions.philhealth.employee_share;
+  const pagibig = contributions.pagibig.employee_share;
+
+  const { taxable } = calculateTaxableCompensation({
+    gross_pay: pay.gross_pay,
+    bonuses: pay.bonuses,
+    de_minimis: pay.de_minimis,
+    contributions: sss + philhealth + pagibig
+  }, taxContext.priorBonuses);
+  const withholdingTax = calculatePeriodTax(taxable, SALARY_PERIODS_PER_YEAR, taxContext.year);
+
+  return {
+    sss_deduction: sss,
+    philhealth_deduction: philhealth,
+    pagibig_deduction: pagibig,
+    withholding_tax: withholdingTax,
+    other_deductions: 0,
+    total_deductions: round2(sss + philhealth + pagibig + withholdingTax),
+    sss_employer_share: contributions.sss.employer_share,
+    philhealth_employer_share: contributions.philhealth.employer_share,
+    pagibig_employer_share: contributions.pagibig.employer_share
+  };
+}
+
+// Build a payroll_entries row for one employee from their summed time entries.
+// taxContext carries the tax year and the bonuses already paid earlier in that year.
+function computePayrollEntry(employee, hours, schedules, taxContext) {
+  const hoursWorked = round2(hours ? hours.regular_hours : 0);
+  const overtimeHours = round2(hours ? hours.overtime_hours : 0);
+
+  const pay = calculateGrossPay({
+    pay_type: employee.pay_type,
+    salary: employee.salary,
+    hourly_rate: employee.hourly_rate,
+    hours_worked: hoursWorked,
+    overtime_hours: overtimeHours
+  });
+  const deductions = calculateDeductions({ ...pay, bonuses: 0, de_minimis: 0 }, schedules, taxContext);
+
+  return {
+    employee_id: employee.id,
+    hours_worked: hoursWorked,
+    overtime_hours: overtimeHours,
+    ...pay,
+    allowances: 0,
+    bonuses: 0,
+    de_minimis: 0,
+    ...deductions,
+    net_pay: round2(pay.gross_pay - deductions.total_deductions)
+  };
+}
+
+module.exports = {
+  OVERTIME_MULTIPLIER,
+  SALARY_PERIODS_PER_YEAR,
+  PERIODS_PER_MONTH,
+  calculateGrossPay,
+  calculateDeductions,
+  computePayrollEntry
+};
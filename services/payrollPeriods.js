@@ -0,0 +1,40 @@
+// Payroll period lifecycle: open → processing → locked → paid → closed
+const PERIOD_STATUSES = ['open', 'processing', 'locked', 'paid', 'closed'];
+
+const PERIOD_TRANSITIONS = {
+  open: ['processing'],
+  processing: ['open', 'locked'],
+  locked: ['paid', 'open'],
+  paid: ['closed'],
+  closed: []
+};
+
+// Only these statuses accept imports, payroll edits and reconciliation resolutions
+const EDITABLE_STATUSES = ['open', 'processing'];
+
+function canTransition(fromStatus, toStatus) {
+  return (PERIOD_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function isReopen(fromStatus, toStatus) {
+  return toStatus === 'open' && fromStatus !== 'processing';
+}
+
+function isPeriodEditable(period) {
+  return EDITABLE_STATUSES.includes(period.status);
+}
+
+function assertPeriodEditable(period) {
+  if (!isPeriodEditable(period)) {
+    throw new Error(`Payroll period ${period.period_name} is ${period.status} and cannot be modified`);
+  }
+}
+
+module.exports = {
+  PERIOD_STATUSES,
+  PERIOD_TRANSITIONS,
+  canTransition,
+  isReopen,
+  isPeriodEditable,
+  assertPeriodEditable
+};
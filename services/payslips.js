@@ -0,0 +1,115 @@
+const { jsPDF } = require('jspdf');
+const { default: autoTable } = require('jspdf-autotable');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'PayrollPro';
+const PASSWORD_SOURCES = ['birth_date', 'employee_number'];
+
+function formatMoney(value) {
+  return parseFloat(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Payslip password from the employee record, or null when the source field is empty
+function getPayslipPassword(employee, source) {
+  if (source === 'birth_date') {
+    return employee.birth_date ? formatDate(employee.birth_date).replace(/-/g, '') : null;
+  }
+  if (source === 'employee_number') {
+    return employee.employee_number ? String(employee.employee_number) : null;
+  }
+  return null;
+}
+
+function getPayslipFileName(entry, period) {
+  const safe = value => String(value || '').replace(/[^A-Za-z0-9_-]+/g, '_');
+  return `payslip-${safe(entry.employee_number)}-${safe(period.period_name)}.pdf`;
+}
+
+// Render one payslip; entry carries the payroll_entries row joined with employee fields
+function renderPayslip(entry, period, ytd, password = null) {
+  const doc = new jsPDF(password ? {
+    encryption: { userPassword: password, ownerPassword: password, userPermissions: ['print'] }
+  } : {});
+
+  doc.setFontSize(16);
+  doc.text(COMPANY_NAME, 14, 18);
+  doc.setFontSize(12);
+  doc.text('PAYSLIP', 196, 18, { align: 'right' });
+
+  doc.setFontSize(10);
+  doc.text(`Employee: ${entry.last_name}, ${entry.first_name} (${entry.employee_number})`, 14, 30);
+  doc.text(`Department: ${entry.department || ''}`, 14, 36);
+  doc.text(`Position: ${entry.position || ''}`, 14, 42);
+  doc.text(`Period: ${period.period_name}`, 120, 30);
+  doc.text(`Coverage: ${formatDate(period.start_date)} to ${formatDate(period.end_date)}`, 120, 36);
+  doc.text(`Pay date: ${formatDate(period.pay_date)}`, 120, 42);
+
+  autoTable(doc, {
+    startY: 50,
+    head: [['Earnings', 'Hours', 'Amount']],
+    body: [
+      ['Basic pay', formatMoney(entry.hours_worked), formatMoney(entry.basic_pay)],
+      ['Overtime pay', formatMoney(entry.overtime_hours), formatMoney(entry.overtime_pay)],
+      ['Allowances', '', formatMoney(entry.allowances)],
+      ['Bonuses / 13th month', '', formatMoney(entry.bonuses)],
+      ['De minimis benefits', '', formatMoney(entry.de_minimis)]
+    ],
+    foot: [['Gross pay', '', formatMoney(entry.gross_pay)]],
+    columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' } }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 6,
+    head: [['Deductions', 'Amount']],
+    body: [
+      ['SSS', formatMoney(entry.sss_deduction)],
+      ['PhilHealth', formatMoney(entry.philhealth_deduction)],
+      ['Pag-IBIG', formatMoney(entry.pagibig_deduction)],
+      ['Withholding tax', formatMoney(entry.withholding_tax)],
+      ['Other deductions', formatMoney(entry.other_deductions)]
+    ],
+    foot: [['Total deductions', formatMoney(entry.total_deductions)]],
+    columnStyles: { 1: { halign: 'right' } }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 6,
+    body: [['NET PAY', `PHP ${formatMoney(entry.net_pay)}`]],
+    styles: { fontSize: 12, fontStyle: 'bold' },
+    columnStyles: { 1: { halign: 'right' } }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 10,
+    head: [['Year to date', 'Amount']],
+    body: [
+      ['Gross pay', formatMoney(ytd.gross_pay)],
+      ['SSS', formatMoney(ytd.sss_deduction)],
+      ['PhilHealth', formatMoney(ytd.philhealth_deduction)],
+      ['Pag-IBIG', formatMoney(ytd.pagibig_deduction)],
+      ['Withholding tax', formatMoney(ytd.withholding_tax)],
+      ['Total deductions', formatMoney(ytd.total_deductions)],
+      ['Net pay', formatMoney(ytd.net_pay)]
+    ],
+    columnStyles: { 1: { halign: 'right' } }
+  });
+
+  doc.setFontSize(8);
+  doc.text(`Generated ${new Date().toISOString()}`, 14, doc.internal.pageSize.getHeight() - 10);
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+module.exports = {
+  PASSWORD_SOURCES,
+  formatDate,
+  getPayslipPassword,
+  getPayslipFileName,
+  renderPayslip
+};
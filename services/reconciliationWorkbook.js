@@ -0,0 +1,170 @@
+const XLSX = require('xlsx');
+const JSZip = require('jszip');
+const { round2 } = require('./rounding');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'PayrollPro';
+const RECONCILIATION_STATUSES = ['pending', 'resolved', 'ignored'];
+
+// Variances at or above these (in absolute value) are highlighted: pesos, except hours for attendance
+const DEFAULT_VARIANCE_THRESHOLDS = {
+  payroll: 100,
+  attendance: 1,
+  deductions: 50,
+  tax: 100
+};
+
+const NUMBER_FORMAT = '#,##0.00';
+const HIGHLIGHT_FILL = 'FFFFC7CE';
+const HIGHLIGHT_FONT = 'FF9C0006';
+
+const DETAIL_HEADERS = ['Employee No.', 'Employee', 'Discrepancy', 'Expected', 'Actual', 'Variance', 'Status', 'Resolution Notes'];
+const VARIANCE_COLUMN = 'F';
+
+const pad = n => String(n).padStart(2, '0');
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : round2(parseFloat(value));
+}
+
+function setNumberFormat(worksheet, range) {
+  const { s, e } = XLSX.utils.decode_range(range);
+  for (let r = s.r; r <= e.r; r++) {
+    for (let c = s.c; c <= e.c; c++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === 'n') cell.z = NUMBER_FORMAT;
+    }
+  }
+}
+
+// Counts and total absolute variance per reconciliation type and status
+function buildSummarySheet(period, groups) {
+  const statusHeaders = RECONCILIATION_STATUSES.map(status => status.charAt(0).toUpperCase() + status.slice(1));
+  const rows = [
+    [`${COMPANY_NAME} - Reconciliation`],
+    [`Period: ${period.period_name} (${formatDate(period.start_date)} to ${formatDate(period.end_date)})`],
+    [`Generated: ${new Date().toISOString()}`],
+    [],
+    [
+      'Type',
+      ...statusHeaders.map(status => `${status} count`), 'Total count',
+      ...statusHeaders.map(status => `${status} variance`), 'Total variance'
+    ]
+  ];
+
+  const totalCounts = RECONCILIATION_STATUSES.map(() => 0);
+
+  Object.entries(groups).forEach(([type, results]) => {
+    const counts = RECONCILIATION_STATUSES.map(status => results.filter(r => r.status === status).length);
+    const variances = RECONCILIATION_STATUSES.map(status => round2(
+      results.filter(r => r.status === status).reduce((sum, r) => sum + Math.abs(parseFloat(r.variance) || 0), 0)
+    ));
+
+    counts.forEach((count, i) => { totalCounts[i] += count; });
+
+    rows.push([
+      type,
+      ...counts, results.length,
+      ...variances, round2(variances.reduce((sum, v) => sum + v, 0))
+    ]);
+  });
+
+  // Variances are not totalled across types: attendance is in hours, the rest in pesos
+  rows.push(['Total', ...totalCounts, totalCounts.reduce((sum, c) => sum + c, 0)]);
+  rows.push([], ['Attendance variances are in hours; all other variances are in pesos.']);
+
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  const lastColumn = XLSX.utils.encode_col(rows[4].length - 1);
+  const varianceStart = XLSX.utils.encode_col(RECONCILIATION_STATUSES.length + 2);
+  setNumberFormat(worksheet, `${varianceStart}6:${lastColumn}${rows.length - 3}`);
+  worksheet['!cols'] = [{ wch: 14 }, ...rows[4].slice(1).map(header => ({ wch: Math.max(header.length + 2, 12) }))];
+
+  return worksheet;
+}
+
+// One row per discrepancy of a reconciliation type, largest variance first
+function buildDetailSheet(results) {
+  const sorted = [...results].sort((a, b) => Math.abs(parseFloat(b.variance) || 0) - Math.abs(parseFloat(a.variance) || 0));
+
+  const rows = sorted.map(result => [
+    result.employee_number || '',
+    result.employee_id ? `${result.last_name}, ${result.first_name}` : '',
+    result.discrepancy_type,
+    toNumber(result.expected_value),
+    toNumber(result.actual_value),
+    toNumber(result.variance),
+    result.status,
+    result.resolution_notes || ''
+  ]);
+
+  const worksheet = XLSX.utils.aoa_to_sheet([DETAIL_HEADERS, ...rows]);
+  setNumberFormat(worksheet, `D2:F${rows.length + 1}`);
+  worksheet['!autofilter'] = { ref: `A1:H${rows.length + 1}` };
+  worksheet['!cols'] = [{ wch: 14 }, { wch: 28 }, { wch: 30 }, { wch: 14 }, { wch: 14 }, { wch: 14 }, { wch: 10 }, { wch: 40 }];
+
+  return worksheet;
+}
+
+// SheetJS cannot write styles, so the highlighting is added to the written file as an
+// Excel conditional format: one differential style in styles.xml and a rule per sheet
+async function addVarianceHighlighting(buffer, sheetRules) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const stylesPath = 'xl/styles.xml';
+  const styles = await zip.file(stylesPath).async('string');
+  zip.file(stylesPath, styles.replace(/<dxfs count="0"\s*\/>/,
+    `<dxfs count="1"><dxf><font><color rgb="${HIGHLIGHT_FONT}"/></font>` +
+    `<fill><patternFill><bgColor rgb="${HIGHLIGHT_FILL}"/></patternFill></fill></dxf></dxfs>`));
+
+  for (const { sheetIndex, rowCount, threshold } of sheetRules) {
+    const sheetPath = `xl/worksheets/sheet${sheetIndex + 1}.xml`;
+    const sheet = await zip.file(sheetPath).async('string');
+    const rule = `<conditionalFormatting sqref="A2:H${rowCount + 1}">` +
+      `<cfRule type="expression" dxfId="0" priority="1"><formula>ABS($${VARIANCE_COLUMN}2)&gt;=${threshold}</formula></cfRule>` +
+      '</conditionalFormatting>';
+
+    // conditionalFormatting goes after autoFilter and before these, per the OOXML element order
+    const next = sheet.search(/<(dataValidations|hyperlinks|printOptions|pageMargins|pageSetup|ignoredErrors)[\s>/]/);
+    const at = next === -1 ? sheet.lastIndexOf('</worksheet>') : next;
+    zip.file(sheetPath, sheet.slice(0, at) + rule + sheet.slice(at));
+  }
+
+  return await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Workbook of a period's reconciliation_logs rows (as from Database.getReconciliationLogs):
+// a summary sheet and one sheet per reconciliation type. thresholds overrides
+// DEFAULT_VARIANCE_THRESHOLDS per type. Returns a Promise of the xlsx Buffer.
+async function renderReconciliationWorkbook(period, results, thresholds = {}) {
+  const groups = {};
+  results.forEach(result => {
+    (groups[result.reconciliation_type] = groups[result.reconciliation_type] || []).push(result);
+  });
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, buildSummarySheet(period, groups), 'Summary');
+
+  const sheetRules = [];
+  Object.entries(groups).forEach(([type, typeResults]) => {
+    const sheetName = (type.charAt(0).toUpperCase() + type.slice(1)).slice(0, 31);
+    XLSX.utils.book_append_sheet(workbook, buildDetailSheet(typeResults), sheetName);
+
+    const threshold = parseFloat(thresholds[type] ?? DEFAULT_VARIANCE_THRESHOLDS[type]);
+    if (!isNaN(threshold)) {
+      sheetRules.push({ sheetIndex: workbook.SheetNames.length - 1, rowCount: typeResults.length, threshold });
+    }
+  });
+
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  return await addVarianceHighlighting(buffer, sheetRules);
+}
+
+module.exports = {
+  DEFAULT_VARIANCE_THRESHOLDS,
+  renderReconciliationWorkbook
+};
@@ -0,0 +1,191 @@
+const XLSX = require('xlsx');
+const { round2 } = require('./rounding');
+const { calculateTaxableCompensation } = require('./withholdingTax');
+const { toGovernmentId } = require('./importSchemas');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'PayrollPro';
+
+const amount = value => round2(parseFloat(value || 0));
+const money = value => (typeof value === 'number' ? value.toFixed(2) : value);
+const sum = (rows, field) => round2(rows.reduce((total, row) => total + (row[field] || 0), 0));
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Monthly remittance reports per agency. idField is the employee's number with the
+// agency (checked against importSchemas' government ID formats), employerId the
+// company's own number from the environment. includes decides which employees are
+// on the report, columns what is listed for each and summary the totals lines.
+const REMITTANCE_REPORTS = {
+  sss: {
+    label: 'SSS Contribution Collection List (R-3)',
+    idField: 'sss_number',
+    idName: 'SSS number',
+    idFormat: 'sss',
+    employerId: process.env.EMPLOYER_SSS_NUMBER || '',
+    includes: row => row.sss_deduction > 0 || row.sss_employer_share > 0,
+    columns: [
+      { header: 'SS Number', value: row => row.id_number },
+      { header: 'Last Name', value: row => row.last_name },
+      { header: 'First Name', value: row => row.first_name },
+      { header: 'Employee Share', value: row => row.sss_deduction },
+      { header: 'Employer Share (incl. EC)', value: row => row.sss_employer_share },
+      { header: 'Total Contribution', value: row => round2(row.sss_deduction + row.sss_employer_share) }
+    ],
+    summary: rows => [
+      ['Total Employee Share', sum(rows, 'sss_deduction')],
+      ['Total Employer Share', sum(rows, 'sss_employer_share')],
+      ['Total Remittance', round2(sum(rows, 'sss_deduction') + sum(rows, 'sss_employer_share'))]
+    ]
+  },
+  philhealth: {
+    label: 'PhilHealth Employer Remittance Report (RF-1)',
+    idField: 'philhealth_number',
+    idName: 'PhilHealth number',
+    idFormat: 'philhealth',
+    employerId: process.env.EMPLOYER_PHILHEALTH_NUMBER || '',
+    includes: row => row.philhealth_deduction > 0 || row.philhealth_employer_share > 0,
+    columns: [
+      { header: 'PhilHealth Number', value: row => row.id_number },
+      { header: 'Last Name', value: row => row.last_name },
+      { header: 'First Name', value: row => row.first_name },
+      { header: 'Date of Birth', value: row => formatDate(row.birth_date) },
+      { header: 'Monthly Basic Salary', value: row => row.basic_pay },
+      { header: 'Personal Share', value: row => row.philhealth_deduction },
+      { header: 'Employer Share', value: row => row.philhealth_employer_share },
+      { header: 'Total Premium', value: row => round2(row.philhealth_deduction + row.philhealth_employer_share) }
+    ],
+    summary: rows => [
+      ['Total Personal Share', sum(rows, 'philhealth_deduction')],
+      ['Total Employer Share', sum(rows, 'philhealth_employer_share')],
+      ['Total Remittance', round2(sum(rows, 'philhealth_deduction') + sum(rows, 'philhealth_employer_share'))]
+    ]
+  },
+  pagibig: {
+    label: 'Pag-IBIG Membership Contribution Remittance Form (MCRF)',
+    idField: 'pagibig_number',
+    idName: 'Pag-IBIG MID number',
+    idFormat: 'pagibig',
+    employerId: process.env.EMPLOYER_PAGIBIG_NUMBER || '',
+    includes: row => row.pagibig_deduction > 0 || row.pagibig_employer_share > 0,
+    columns: [
+      { header: 'Pag-IBIG MID Number', value: row => row.id_number },
+      { header: 'Last Name', value: row => row.last_name },
+      { header: 'First Name', value: row => row.first_name },
+      { header: 'Date of Birth', value: row => formatDate(row.birth_date) },
+      { header: 'Monthly Compensation', value: row => row.gross_pay },
+      { header: 'Employee Share', value: row => row.pagibig_deduction },
+      { header: 'Employer Share', value: row => row.pagibig_employer_share },
+      { header: 'Total', value: row => round2(row.pagibig_deduction + row.pagibig_employer_share) }
+    ],
+    summary: rows => [
+      ['Total Employee Share', sum(rows, 'pagibig_deduction')],
+      ['Total Employer Share', sum(rows, 'pagibig_employer_share')],
+      ['Total Remittance', round2(sum(rows, 'pagibig_deduction') + sum(rows, 'pagibig_employer_share'))]
+    ]
+  },
+  bir_1601c: {
+    label: 'BIR 1601-C Monthly Remittance of Income Taxes Withheld on Compensation',
+    idField: 'tin_number',
+    idName: 'TIN',
+    idFormat: 'tin',
+    employerId: process.env.EMPLOYER_TIN || '',
+    includes: row => row.gross_pay > 0,
+    columns: [
+      { header: 'TIN', value: row => row.id_number },
+      { header: 'Last Name', value: row => row.last_name },
+      { header: 'First Name', value: row => row.first_name },
+      { header: 'Gross Compensation', value: row => row.gross_pay },
+      { header: 'Non-Taxable Compensation', value: row => row.non_taxable },
+      { header: 'Taxable Compensation', value: row => row.taxable },
+      { header: 'Tax Withheld', value: row => row.withholding_tax }
+    ],
+    // Lines of Part II of the return
+    summary: rows => [
+      ['Total Amount of Compensation', sum(rows, 'gross_pay')],
+      ['Non-Taxable 13th Month Pay and Other Benefits', sum(rows, 'exempt_bonuses')],
+      ['Non-Taxable De Minimis Benefits', sum(rows, 'de_minimis')],
+      ['Non-Taxable SSS, PhilHealth and Pag-IBIG Contributions', sum(rows, 'contributions')],
+      ['Total Non-Taxable Compensation', sum(rows, 'non_taxable')],
+      ['Total Taxable Compensation', sum(rows, 'taxable')],
+      ['Total Taxes Withheld', sum(rows, 'withholding_tax')]
+    ]
+  }
+};
+
+// Turn Database.getMonthlyRemittanceTotals rows into report rows for an agency: amounts
+// as numbers, the taxable split for BIR and the employee's agency number checked.
+// priorBonuses maps employee_id to bonuses paid earlier in the year (for the 13th-month
+// exemption). Returns { rows, missing } where missing lists employees whose number is
+// absent or malformed.
+function buildRemittanceRows(agency, totals, priorBonuses = new Map()) {
+  const report = REMITTANCE_REPORTS[agency];
+  const rows = [];
+  const missing = [];
+
+  totals.forEach(total => {
+    const row = { ...total };
+    ['gross_pay', 'basic_pay', 'bonuses', 'de_minimis', 'sss_deduction', 'sss_employer_share',
+      'philhealth_deduction', 'philhealth_employer_share', 'pagibig_deduction', 'pagibig_employer_share',
+      'withholding_tax'].forEach(field => {
+      row[field] = amount(total[field]);
+    });
+
+    if (!report.includes(row)) return;
+
+    row.contributions = round2(row.sss_deduction + row.philhealth_deduction + row.pagibig_deduction);
+    Object.assign(row, calculateTaxableCompensation({
+      gross_pay: row.gross_pay,
+      bonuses: row.bonuses,
+      de_minimis: row.de_minimis,
+      contributions: row.contributions
+    }, priorBonuses.get(row.employee_id)));
+
+    try {
+      if (!row[report.idField]) throw new Error(`No ${report.idName}`);
+      row.id_number = toGovernmentId(row[report.idField], report.idFormat);
+    } catch (error) {
+      missing.push({
+        employee_id: row.employee_id,
+        employee_number: row.employee_number,
+        name: `${row.last_name}, ${row.first_name}`,
+        reason: error.message
+      });
+      return;
+    }
+
+    rows.push(row);
+  });
+
+  return { rows, missing };
+}
+
+// CSV report: employer block, one line per employee, then the totals
+function renderRemittanceCsv(agency, rows, { year, month }) {
+  const report = REMITTANCE_REPORTS[agency];
+  const lines = [
+    [report.label],
+    ['Employer Name', COMPANY_NAME],
+    ['Employer Number', report.employerId],
+    ['Applicable Month', `${year}-${String(month).padStart(2, '0')}`],
+    [],
+    report.columns.map(column => column.header),
+    ...rows.map(row => report.columns.map(column => money(column.value(row)))),
+    [],
+    ['Number of Employees', rows.length],
+    ...report.summary(rows).map(([label, value]) => [label, money(value)])
+  ];
+
+  const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(lines));
+  return Buffer.from(`\ufeff${csv}`, 'utf8');
+}
+
+module.exports = {
+  REMITTANCE_REPORTS,
+  buildRemittanceRows,
+  renderRemittanceCsv
+};
@@ -0,0 +1,8 @@
+// Money amounts are kept to the centavo
+function round2(value) {
+  return Math.round((parseFloat(value || 0) + Number.EPSILON) * 100) / 100;
+}
+
+module.exports = {
+  round2
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Database = require('../models/Database');
+
+// Not JWT_EXPIRES_IN: that was the whole login's lifetime before refresh tokens, and
+// deployments still set it to hours
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+// A session ends this many days after login however often it refreshes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+// Only the SHA-256 of a refresh token is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getRefreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      access_level: user.access_level,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Start a new session and return its token pair
+async function issueSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const sessionId = await Database.createSession({
+    user_id: user.id,
+    refresh_token_hash: hashToken(refreshToken),
+    ip_address: req.ip,
+    user_agent: (req.get('User-Agent') || '').substring(0, 255),
+    expires_at: getRefreshExpiry()
+  });
+
+  return {
+    sessionId,
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+// Swap a session's refresh token for a new one, keeping the session id and its
+// expiry. Returns null when the token was no longer current (another refresh rotated
+// it first) or the session has expired or been revoked.
+async function rotateSession(session, user, presentedHash) {
+  const refreshToken = generateRefreshToken();
+  const rotated = await Database.rotateSessionToken(session.id, presentedHash, hashToken(refreshToken));
+  if (!rotated) return null;
+
+  return {
+    sessionId: session.id,
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+module.exports = {
+  hashToken,
+  issueSession,
+  rotateSession
+};
@@ -0,0 +1,104 @@
+const { round2 } = require('./rounding');
+
+// BIR graduated withholding tax tables (TRAIN law). Each bracket taxes
+// income above `over` at `rate`, on top of the fixed `base` amount.
+const ANNUAL_TABLES = {
+  2018: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 250000, base: 0, rate: 0.20 },
+    { over: 400000, base: 30000, rate: 0.25 },
+    { over: 800000, base: 130000, rate: 0.30 },
+    { over: 2000000, base: 490000, rate: 0.32 },
+    { over: 8000000, base: 2410000, rate: 0.35 }
+  ],
+  2023: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 250000, base: 0, rate: 0.15 },
+    { over: 400000, base: 22500, rate: 0.20 },
+    { over: 800000, base: 102500, rate: 0.25 },
+    { over: 2000000, base: 402500, rate: 0.30 },
+    { over: 8000000, base: 2202500, rate: 0.35 }
+  ]
+};
+
+// Revised per-period tables effective 2023, keyed by pay periods per year
+const PERIOD_TABLES = {
+  12: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 20833, base: 0, rate: 0.15 },
+    { over: 33333, base: 1875, rate: 0.20 },
+    { over: 66667, base: 8541.80, rate: 0.25 },
+    { over: 166667, base: 33541.80, rate: 0.30 },
+    { over: 666667, base: 183541.80, rate: 0.35 }
+  ],
+  24: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 10417, base: 0, rate: 0.15 },
+    { over: 16667, base: 937.50, rate: 0.20 },
+    { over: 33333, base: 4270.70, rate: 0.25 },
+    { over: 83333, base: 16770.70, rate: 0.30 },
+    { over: 333333, base: 91770.70, rate: 0.35 }
+  ],
+  52: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 4808, base: 0, rate: 0.15 },
+    { over: 7692, base: 432.60, rate: 0.20 },
+    { over: 15385, base: 1971.20, rate: 0.25 },
+    { over: 38462, base: 7740.45, rate: 0.30 },
+    { over: 153846, base: 42355.65, rate: 0.35 }
+  ]
+};
+
+// 13th-month pay and other benefits are tax-exempt up to this amount per year
+const THIRTEENTH_MONTH_EXEMPTION = 90000;
+
+function applyTable(table, income) {
+  let bracket = table[0];
+  table.forEach(row => {
+    if (income > row.over) bracket = row;
+  });
+  return bracket.base + (income - bracket.over) * bracket.rate;
+}
+
+function getAnnualTable(year) {
+  return parseInt(year) >= 2023 ? ANNUAL_TABLES[2023] : ANNUAL_TABLES[2018];
+}
+
+function calculateAnnualTax(annualTaxable, year) {
+  return round2(applyTable(getAnnualTable(year), Math.max(parseFloat(annualTaxable || 0), 0)));
+}
+
+// Per-period tax; pay frequencies without a BIR table (e.g. bi-weekly) are annualized
+function calculatePeriodTax(periodTaxable, periodsPerYear, year) {
+  const taxable = Math.max(parseFloat(periodTaxable || 0), 0);
+
+  if (parseInt(year) >= 2023 && PERIOD_TABLES[periodsPerYear]) {
+    return round2(applyTable(PERIOD_TABLES[periodsPerYear], taxable));
+  }
+
+  return round2(calculateAnnualTax(taxable * periodsPerYear, year) / periodsPerYear);
+}
+
+// Split compensation into taxable and non-taxable parts. `bonuses` holds 13th-month
+// pay and other benefits; `priorBonuses` is what the employee already received this year.
+function calculateTaxableCompensation({ gross_pay, bonuses, de_minimis, contributions }, priorBonuses = 0) {
+  const bonusAmount = parseFloat(bonuses || 0);
+  const remainingExemption = Math.max(THIRTEENTH_MONTH_EXEMPTION - parseFloat(priorBonuses || 0), 0);
+  const exemptBonuses = Math.min(bonusAmount, remainingExemption);
+  const nonTaxable = parseFloat(de_minimis || 0) + parseFloat(contributions || 0) + exemptBonuses;
+
+  return {
+    taxable: round2(Math.max(parseFloat(gross_pay || 0) - nonTaxable, 0)),
+    non_taxable: round2(nonTaxable),
+    exempt_bonuses: round2(exemptBonuses)
+  };
+}
+
+module.exports = {
+  ANNUAL_TABLES,
+  PERIOD_TABLES,
+  THIRTEENTH_MONTH_EXEMPTION,
+  calculateAnnualTax,
+  calculatePeriodTax,
+  calculateTaxableCompensation
+};
@@ -0,0 +1,209 @@
+const XLSX = require('xlsx');
+const { jsPDF } = require('jspdf');
+const { default: autoTable } = require('jspdf-autotable');
+const { round2 } = require('./rounding');
+const { calculateAnnualTax, calculateTaxableCompensation } = require('./withholdingTax');
+const { toGovernmentId } = require('./importSchemas');
+const { formatDate } = require('./payslips');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'PayrollPro';
+const COMPANY_ADDRESS = process.env.COMPANY_ADDRESS || '';
+const EMPLOYER_TIN = process.env.EMPLOYER_TIN || '';
+
+const amount = value => round2(parseFloat(value || 0));
+
+function formatMoney(value) {
+  return parseFloat(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Annual compensation, tax due and tax withheld of one employee, from a
+// Database.getAnnualCompensation row. tax_difference is tax due less tax withheld:
+// positive is still to be withheld, negative was over-withheld and is refunded.
+function computeYearEnd(total, year) {
+  const grossPay = amount(total.gross_pay);
+  const bonuses = amount(total.bonuses);
+  const deMinimis = amount(total.de_minimis);
+  const sss = amount(total.sss_deduction);
+  const philhealth = amount(total.philhealth_deduction);
+  const pagibig = amount(total.pagibig_deduction);
+  const contributions = round2(sss + philhealth + pagibig);
+
+  const { taxable, non_taxable, exempt_bonuses } = calculateTaxableCompensation({
+    gross_pay: grossPay,
+    bonuses,
+    de_minimis: deMinimis,
+    contributions
+  });
+  const taxDue = calculateAnnualTax(taxable, year);
+  const taxWithheld = amount(total.withholding_tax);
+
+  // Employment within the year
+  const hireDate = formatDate(total.hire_date);
+  const terminationDate = formatDate(total.termination_date);
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+
+  let tin = null;
+  let tinError = null;
+  try {
+    if (!total.tin_number) throw new Error('No TIN');
+    tin = toGovernmentId(total.tin_number, 'tin');
+  } catch (error) {
+    tinError = error.message;
+  }
+
+  return {
+    employee_id: total.employee_id,
+    employee_number: total.employee_number,
+    first_name: total.first_name,
+    last_name: total.last_name,
+    birth_date: formatDate(total.birth_date),
+    address: total.address || '',
+    position: total.position || '',
+    tin,
+    tin_error: tinError,
+    employment_from: hireDate && hireDate > yearStart ? hireDate : yearStart,
+    employment_to: terminationDate && terminationDate < yearEnd ? terminationDate : yearEnd,
+    gross_compensation: grossPay,
+    basic_pay: amount(total.basic_pay),
+    overtime_pay: amount(total.overtime_pay),
+    allowances: amount(total.allowances),
+    exempt_bonuses,
+    taxable_bonuses: round2(bonuses - exempt_bonuses),
+    de_minimis: deMinimis,
+    sss,
+    philhealth,
+    pagibig,
+    contributions,
+    non_taxable,
+    taxable,
+    tax_due: taxDue,
+    tax_withheld: taxWithheld,
+    tax_difference: round2(taxDue - taxWithheld)
+  };
+}
+
+function getCertificateFileName(record, year) {
+  const safe = value => String(value || '').replace(/[^A-Za-z0-9_-]+/g, '_');
+  return `bir-2316-${year}-${safe(record.employee_number)}.pdf`;
+}
+
+// BIR Form 2316, Certificate of Compensation Payment / Tax Withheld, for one computeYearEnd record
+function render2316(record, year) {
+  const doc = new jsPDF();
+
+  doc.setFontSize(12);
+  doc.text('BIR Form 2316', 14, 16);
+  doc.text(`For the year ${year}`, 196, 16, { align: 'right' });
+  doc.setFontSize(10);
+  doc.text('Certificate of Compensation Payment / Tax Withheld', 14, 22);
+
+  autoTable(doc, {
+    startY: 28,
+    head: [['Part I - Employee Information', '']],
+    body: [
+      ['TIN', record.tin || ''],
+      ['Employee name', `${record.last_name}, ${record.first_name}`],
+      ['Date of birth', record.birth_date],
+      ['Registered address', record.address],
+      ['Period of employment', `${record.employment_from} to ${record.employment_to}`]
+    ],
+    columnStyles: { 0: { cellWidth: 60 } }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 4,
+    head: [['Part II - Employer Information', '']],
+    body: [
+      ['TIN', EMPLOYER_TIN],
+      ['Employer name', COMPANY_NAME],
+      ['Registered address', COMPANY_ADDRESS]
+    ],
+    columnStyles: { 0: { cellWidth: 60 } }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 4,
+    head: [['Non-taxable / exempt compensation', 'Amount']],
+    body: [
+      ['13th month pay and other benefits', formatMoney(record.exempt_bonuses)],
+      ['De minimis benefits', formatMoney(record.de_minimis)],
+      ['SSS, PhilHealth, Pag-IBIG contributions', formatMoney(record.contributions)]
+    ],
+    foot: [['Total non-taxable compensation', formatMoney(record.non_taxable)]],
+    columnStyles: { 1: { halign: 'right' } }
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 4,
+    head: [['Summary', 'Amount']],
+    body: [
+      ['Gross compensation income', formatMoney(record.gross_compensation)],
+      ['Less: non-taxable / exempt compensation', formatMoney(record.non_taxable)],
+      ['Taxable compensation income', formatMoney(record.taxable)],
+      ['Tax due', formatMoney(record.tax_due)],
+      ['Amount of taxes withheld', formatMoney(record.tax_withheld)],
+      [
+        record.tax_difference < 0 ? 'Over-withheld tax refunded to employee' : 'Tax still to be withheld',
+        formatMoney(Math.abs(record.tax_difference))
+      ]
+    ],
+    columnStyles: { 1: { halign: 'right' } }
+  });
+
+  const signatureY = doc.lastAutoTable.finalY + 20;
+  doc.line(14, signatureY, 90, signatureY);
+  doc.line(120, signatureY, 196, signatureY);
+  doc.setFontSize(8);
+  doc.text('Present employer / authorized agent', 14, signatureY + 5);
+  doc.text('Employee', 120, signatureY + 5);
+  doc.text(`Generated ${new Date().toISOString()}`, 14, doc.internal.pageSize.getHeight() - 10);
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+const ALPHALIST_COLUMNS = [
+  ['TIN', r => r.tin],
+  ['Last Name', r => r.last_name],
+  ['First Name', r => r.first_name],
+  ['Employment From', r => r.employment_from],
+  ['Employment To', r => r.employment_to],
+  ['Gross Compensation', r => r.gross_compensation],
+  ['Non-Taxable 13th Month Pay and Other Benefits', r => r.exempt_bonuses],
+  ['Non-Taxable De Minimis Benefits', r => r.de_minimis],
+  ['Non-Taxable SSS, PhilHealth and Pag-IBIG Contributions', r => r.contributions],
+  ['Total Non-Taxable Compensation', r => r.non_taxable],
+  ['Taxable Compensation', r => r.taxable],
+  ['Tax Due', r => r.tax_due],
+  ['Tax Withheld', r => r.tax_withheld],
+  ['Tax Still Due (Over-Withheld)', r => r.tax_difference]
+];
+
+// Alphalist of employees (BIR Form 1604-C Schedule 1) as CSV, one line per computeYearEnd record
+function renderAlphalist(records, year) {
+  const money = value => (typeof value === 'number' ? value.toFixed(2) : value);
+  const totals = ALPHALIST_COLUMNS.map(([, value], index) =>
+    index < 5 ? '' : round2(records.reduce((sum, record) => sum + value(record), 0))
+  );
+
+  const lines = [
+    ['Alphalist of Employees (BIR Form 1604-C Schedule 1)'],
+    ['Employer TIN', EMPLOYER_TIN],
+    ['Employer Name', COMPANY_NAME],
+    ['Year', year],
+    [],
+    ['Seq', ...ALPHALIST_COLUMNS.map(([header]) => header)],
+    ...records.map((record, index) => [index + 1, ...ALPHALIST_COLUMNS.map(([, value]) => money(value(record)))]),
+    ['Total', ...totals.map(money)]
+  ];
+
+  const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(lines));
+  return Buffer.from(`\ufeff${csv}`, 'utf8');
+}
+
+module.exports = {
+  computeYearEnd,
+  getCertificateFileName,
+  render2316,
+  renderAlphalist
+};
@@ -0,0 +1,15 @@
+// package.json marks .js files as ES modules for the Vite front end, but the API is
+// CommonJS. The test script preloads this file so the API's .js files load as
+// CommonJS; packages in node_modules load as usual.
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const loadJs = Module._extensions['.js'];
+
+Module._extensions['.js'] = (module, filename) => {
+  if (filename.split(path.sep).includes('node_modules')) {
+    return loadJs(module, filename);
+  }
+  module._compile(fs.readFileSync(filename, 'utf8'), filename);
+};
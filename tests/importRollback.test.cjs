@@ -0,0 +1,182 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const Database = require('../models/Database');
+const { canRollBack, findRollbackBlockers, revertImports } = require('../services/importRollback');
+
+afterEach(() => mock.restoreAll());
+
+// Stub the journal and the current rows: changes by import log id, rows by "table:id"
+function stubDatabase({ changes = {}, rows = {}, payrollEntries = {}, periods = {} }) {
+  mock.method(Database, 'getImportChanges', async (importLogId) => changes[importLogId] || []);
+  mock.method(Database, 'getPayrollEntry', async (periodId, employeeId) => payrollEntries[`${periodId}:${employeeId}`]);
+  mock.method(Database, 'getPayrollPeriodById', async (periodId) => periods[periodId]);
+  mock.method(Database, 'getPayrollPeriodForDate', async () => undefined);
+  mock.method(Database, 'query', async (sql, params) => {
+    const table = sql.match(/FROM (\w+) WHERE id = \?/)[1];
+    const row = rows[`${table}:${params[0]}`];
+    return row ? [row] : [];
+  });
+}
+
+async function conflictsOf(change, stubs = {}) {
+  stubDatabase({ ...stubs, changes: { 1: [{ import_log_id: 1, ...change }] } });
+  const { conflicts } = await findRollbackBlockers([{ id: 1 }]);
+  return conflicts.map(conflict => conflict.reason);
+}
+
+test('canRollBack allows completed imports and cancelled partial imports that wrote rows', () => {
+  assert.strictEqual(canRollBack({ status: 'completed', import_mode: 'partial' }), true);
+  assert.strictEqual(canRollBack({ status: 'completed', import_mode: 'atomic' }), true);
+  assert.strictEqual(canRollBack({ status: 'cancelled', import_mode: 'partial', successful_rows: 3 }), true);
+
+  assert.strictEqual(canRollBack({ status: 'cancelled', import_mode: 'partial', successful_rows: 0 }), false);
+  assert.strictEqual(canRollBack({ status: 'cancelled', import_mode: 'atomic', successful_rows: 3 }), false);
+  assert.strictEqual(canRollBack({ status: 'completed', dry_run: 1 }), false);
+  assert.strictEqual(canRollBack({ status: 'rolled_back' }), false);
+  assert.strictEqual(canRollBack({ status: 'reverted' }), false);
+  assert.strictEqual(canRollBack({ status: 'failed' }), false);
+});
+
+test('an inserted record must still exist and be tagged with a log being rolled back', async () => {
+  const change = { table_name: 'employees', record_id: 7, action: 'insert' };
+
+  assert.deepStrictEqual(await conflictsOf(change), ['Record was deleted after the import']);
+  assert.deepStrictEqual(
+    await conflictsOf(change, { rows: { 'employees:7': { id: 7, import_log_id: 2 } } }),
+    ['Record was changed by a later import']
+  );
+  assert.deepStrictEqual(await conflictsOf(change, { rows: { 'employees:7': { id: 7, import_log_id: 1 } } }), []);
+});
+
+test('an inserted payroll entry that was disbursed cannot be rolled back', async () => {
+  const change = { table_name: 'payroll_entries', record_id: 40, action: 'insert' };
+
+  assert.deepStrictEqual(
+    await conflictsOf(change, { rows: { 'payroll_entries:40': { id: 40, import_log_id: 1, disbursement_batch_id: 3 } } }),
+    ['Payroll entry was disbursed']
+  );
+});
+
+test('an updated employee conflicts when its merged fields were edited since', async () => {
+  const change = {
+    table_name: 'employees',
+    record_id: 7,
+    action: 'update',
+    old_values: JSON.stringify({ position: 'Clerk', salary: 20000 }),
+    new_values: JSON.stringify({ position: 'Analyst', salary: 25000 })
+  };
+
+  assert.deepStrictEqual(await conflictsOf(change), ['Record was deleted after the import']);
+  assert.deepStrictEqual(
+    await conflictsOf(change, { rows: { 'employees:7': { id: 7, position: 'Analyst', salary: '25000.00' } } }),
+    []
+  );
+  assert.deepStrictEqual(
+    await conflictsOf(change, { rows: { 'employees:7': { id: 7, position: 'Manager', salary: '25000.00' } } }),
+    ['Fields changed after the import: position']
+  );
+});
+
+test('a replaced payroll entry comes back only if the employee has no other entry in the period', async () => {
+  const change = {
+    table_name: 'payroll_entries',
+    record_id: 40,
+    action: 'delete',
+    old_values: JSON.stringify({ id: 40, payroll_period_id: 5, employee_id: 7 })
+  };
+  const periods = { 5: { id: 5, period_name: 'Jan 1-15', status: 'open' } };
+
+  assert.deepStrictEqual(
+    await conflictsOf(change, { periods, payrollEntries: { '5:7': { id: 41, import_log_id: 1 } } }),
+    []
+  );
+  assert.deepStrictEqual(
+    await conflictsOf(change, { periods, payrollEntries: { '5:7': { id: 41, import_log_id: 2 } } }),
+    ['Employee has another payroll entry in the period']
+  );
+  assert.deepStrictEqual(
+    await conflictsOf(change, { periods, rows: { 'payroll_entries:40': { id: 40 } } }),
+    ['Employee has another payroll entry in the period']
+  );
+});
+
+test('only the latest write to a record is checked', async () => {
+  stubDatabase({
+    changes: {
+      1: [
+        { import_log_id: 1, table_name: 'employees', record_id: 7, action: 'update', new_values: '{"position":"Analyst"}' },
+        { import_log_id: 1, table_name: 'employees', record_id: 7, action: 'update', new_values: '{"position":"Clerk"}' }
+      ]
+    },
+    rows: { 'employees:7': { id: 7, position: 'Analyst' } }
+  });
+
+  const { conflicts } = await findRollbackBlockers([{ id: 1 }]);
+  assert.deepStrictEqual(conflicts, []);
+});
+
+test('payroll periods that are no longer editable block the rollback', async () => {
+  stubDatabase({
+    changes: {
+      1: [{
+        import_log_id: 1,
+        table_name: 'payroll_entries',
+        record_id: 40,
+        action: 'insert',
+        new_values: JSON.stringify({ payroll_period_id: 5, employee_id: 7 })
+      }]
+    },
+    rows: { 'payroll_entries:40': { id: 40, import_log_id: 1 } },
+    periods: { 5: { id: 5, period_name: 'Jan 1-15', status: 'locked' } }
+  });
+
+  const { lockedPeriods } = await findRollbackBlockers([{ id: 1 }]);
+  assert.deepStrictEqual(lockedPeriods, [{ id: 5, period_name: 'Jan 1-15', status: 'locked' }]);
+});
+
+test('revertImports deletes inserts, restores updates and re-inserts deleted rows', async () => {
+  const queries = [];
+  const connection = {};
+
+  mock.method(Database, 'getImportChanges', async () => [
+    {
+      table_name: 'employees',
+      record_id: 7,
+      action: 'update',
+      old_values: JSON.stringify({ position: 'Clerk', import_log_id: null })
+    },
+    {
+      table_name: 'payroll_entries',
+      record_id: 40,
+      action: 'delete',
+      old_values: JSON.stringify({ id: 40, net_pay: '9000.00', created_at: '2025-01-15T08:30:00.000Z' })
+    },
+    { table_name: 'payroll_entries', record_id: 41, action: 'insert' }
+  ]);
+  mock.method(Database, 'query', async (sql, params, conn) => {
+    queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params, conn });
+    return { affectedRows: 1 };
+  });
+
+  const counts = await revertImports([{ id: 1 }], 99, connection);
+
+  assert.deepStrictEqual(counts, { deleted: 1, restored: 2 });
+  assert.deepStrictEqual(queries.map(q => q.sql), [
+    'UPDATE employees SET position = ?, import_log_id = ? WHERE id = ?',
+    'INSERT INTO payroll_entries (id, net_pay, created_at) VALUES (?, ?, ?)',
+    'DELETE FROM payroll_entries WHERE id = ?',
+    "UPDATE import_logs SET status = 'reverted', reverted_at = NOW(), reverted_by = ? WHERE id = ?"
+  ]);
+  assert.deepStrictEqual(queries[0].params, ['Clerk', null, 7]);
+  assert.deepStrictEqual(queries[1].params, [40, '9000.00', new Date('2025-01-15T08:30:00.000Z')]);
+  assert.deepStrictEqual(queries[2].params, [41]);
+  assert.deepStrictEqual(queries[3].params, [99, 1]);
+  assert.ok(queries.every(q => q.conn === connection));
+});
+
+test('revertImports refuses changes to tables imports do not write', async () => {
+  mock.method(Database, 'getImportChanges', async () => [{ table_name: 'user_accounts', record_id: 1, action: 'insert' }]);
+  mock.method(Database, 'query', async () => assert.fail('nothing should be written'));
+
+  await assert.rejects(revertImports([{ id: 1 }], 99, null), /Cannot roll back changes to user_accounts/);
+});